@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Checks and screenshots every live site in src/content/gallery.json for the
+// click-to-load previews in the Gallery. Runs before `npm start` and
+// `npm run build` and never fails them:
+// - Each site's X-Frame-Options / CSP frame-ancestors headers decide whether
+//   it can be embedded. The result is written to
+//   src/content/generated/previews.json, which the content loader reads. Only
+//   an explicit refusal marks a site as not embeddable; a site that couldn't be
+//   checked keeps its last known result.
+// - Captures need puppeteer (`npm install --no-save puppeteer`). Without it, or
+//   when a site cannot be reached, the entry's committed `preview` image is used
+//   if it has one; otherwise the Gallery shows no screenshot.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'src', 'assets', 'previews', 'captured');
+const FLAGS_FILE = path.join(ROOT, 'src', 'content', 'generated', 'previews.json');
+const TIMEOUT = 20000;
+
+const { liveProjects } = JSON.parse(
+  fs.readFileSync(path.join(ROOT, 'src', 'content', 'gallery.json'), 'utf8')
+);
+
+// True when X-Frame-Options or a CSP frame-ancestors directive blocks other origins
+const forbidsFraming = (headers) => {
+  const xfo = (headers.get('x-frame-options') || '').toLowerCase();
+  if (xfo.includes('deny') || xfo.includes('sameorigin')) return true;
+  const csp = headers.get('content-security-policy') || '';
+  const ancestors = csp.split(';').map((d) => d.trim()).find((d) => d.startsWith('frame-ancestors'));
+  return Boolean(ancestors) && !ancestors.includes('*');
+};
+
+// Flags from the previous run, so a failed check doesn't overturn what is known
+const readFlags = () => {
+  try {
+    return JSON.parse(fs.readFileSync(FLAGS_FILE, 'utf8'));
+  } catch (_) {
+    return {};
+  }
+};
+
+// Whether the site's `iframe` URL may be framed; null when that can't be checked
+const checkFraming = async (project) => {
+  try {
+    const response = await fetch(project.iframe, { signal: AbortSignal.timeout(TIMEOUT) });
+    if (!forbidsFraming(response.headers)) return true;
+    console.log(`  ${project.id}: refuses to be framed; showing the "open in new tab" fallback`);
+    return false;
+  } catch (err) {
+    console.warn(`  ! ${project.id}: could not check framing headers (${err.message}); keeping the last known result`);
+    return null;
+  }
+};
+
+const writeFlags = (results) => {
+  const previous = readFlags();
+  const flags = Object.fromEntries(
+    liveProjects.map((project, index) => {
+      const known = previous[project.id] ? previous[project.id].embeddable !== false : true;
+      return [project.id, { embeddable: results[index] === null ? known : results[index] }];
+    })
+  );
+  fs.mkdirSync(path.dirname(FLAGS_FILE), { recursive: true });
+  fs.writeFileSync(FLAGS_FILE, `${JSON.stringify(flags, null, 2)}\n`);
+};
+
+const loadPuppeteer = () => {
+  try {
+    return require('puppeteer');
+  } catch (_) {
+    return null;
+  }
+};
+
+const capture = async (puppeteer) => {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const browser = await puppeteer.launch();
+  try {
+    for (const project of liveProjects) {
+      const page = await browser.newPage();
+      try {
+        await page.setViewport({ width: 1280, height: 800 });
+        await page.goto(project.url, { waitUntil: 'networkidle2', timeout: TIMEOUT });
+        await page.screenshot({ path: path.join(OUT_DIR, `${project.id}.jpg`), type: 'jpeg', quality: 70 });
+        console.log(`  captured ${project.id}`);
+      } catch (err) {
+        console.warn(`  ! ${project.id}: capture failed (${err.message}); using the committed preview, if any`);
+      } finally {
+        await page.close();
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+};
+
+const main = async () => {
+  console.log('Checking live site previews...');
+  writeFlags(await Promise.all(liveProjects.map(checkFraming)));
+  const puppeteer = loadPuppeteer();
+  if (!puppeteer) {
+    console.log('  puppeteer is not installed; using committed preview images, if any.');
+    return;
+  }
+  try {
+    await capture(puppeteer);
+  } catch (err) {
+    console.warn(`  ! could not start the browser (${err.message}); using committed preview images, if any.`);
+  }
+};
+
+main();
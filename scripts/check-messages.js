@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// Compares the message catalogs in src/i18n/messages against the English
+// source catalog and reports, per locale:
+// - missing keys (shown in English at runtime) and keys English doesn't have
+// - translations whose {arguments} differ from the English message
+// It also fails when source code calls t('some.key') for a key English lacks.
+// Runs before `npm run build`. Missing translations only warn, unless
+// `--strict` is passed; everything else fails the build.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MESSAGES_DIR = path.join(ROOT, 'src', 'i18n', 'messages');
+const SRC_DIR = path.join(ROOT, 'src');
+const SOURCE_LOCALE = 'en';
+
+const strict = process.argv.includes('--strict');
+
+const readCatalog = (locale) => JSON.parse(fs.readFileSync(path.join(MESSAGES_DIR, `${locale}.json`), 'utf8'));
+
+// Argument names in an ICU message: "{count, plural, ...}" and "{name}" both
+// count, but the "{…}" option bodies of plural/select arguments don't
+const argumentsOf = (message) => {
+  const names = new Set();
+  const inOptions = []; // one entry per open plural/select argument
+  let i = 0;
+  while (i < message.length) {
+    const ch = message[i];
+    if (ch === '{' && inOptions[inOptions.length - 1] === true) {
+      inOptions.push(false); // an option body is plain text again
+      i += 1;
+    } else if (ch === '{') {
+      const match = /^\{\s*([A-Za-z_]\w*)\s*(?:,\s*(\w+)\s*)?([,}])/.exec(message.slice(i));
+      if (!match) {
+        i += 1;
+      } else {
+        names.add(match[1]);
+        if (match[3] === ',' && (match[2] === 'plural' || match[2] === 'select')) inOptions.push(true);
+        i += match[0].length;
+      }
+    } else if (ch === '}' && inOptions.length) {
+      inOptions.pop();
+      i += 1;
+    } else {
+      i += 1;
+    }
+  }
+  return [...names].sort();
+};
+
+const sourceFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(full);
+    return /\.(js|jsx)$/.test(entry.name) ? [full] : [];
+  });
+
+// Literal keys passed to t(...); keys built at runtime can't be checked here
+const usedKeys = () => {
+  const keys = new Map();
+  sourceFiles(SRC_DIR).forEach((file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    const pattern = /\bt\(\s*'([\w.-]+)'/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (!keys.has(match[1])) keys.set(match[1], path.relative(ROOT, file));
+    }
+  });
+  return keys;
+};
+
+const checkMessages = () => {
+  const errors = [];
+  const warnings = [];
+  const source = readCatalog(SOURCE_LOCALE);
+  const locales = fs
+    .readdirSync(MESSAGES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .filter((locale) => locale !== SOURCE_LOCALE);
+
+  usedKeys().forEach((file, key) => {
+    if (!(key in source)) errors.push(`${SOURCE_LOCALE}: "${key}" is used in ${file} but not defined`);
+  });
+
+  locales.forEach((locale) => {
+    const catalog = readCatalog(locale);
+    const missing = Object.keys(source).filter((key) => !(key in catalog));
+    if (missing.length) {
+      (strict ? errors : warnings).push(`${locale}: ${missing.length} missing key(s): ${missing.join(', ')}`);
+    }
+    Object.keys(catalog).forEach((key) => {
+      if (!(key in source)) {
+        errors.push(`${locale}: "${key}" is not in the ${SOURCE_LOCALE} catalog`);
+        return;
+      }
+      const expected = argumentsOf(source[key]).join(', ');
+      const actual = argumentsOf(catalog[key]).join(', ');
+      if (expected !== actual) errors.push(`${locale}: "${key}" uses {${actual}} but ${SOURCE_LOCALE} uses {${expected}}`);
+    });
+  });
+
+  warnings.forEach((warning) => console.warn(`  ! ${warning}`));
+  if (errors.length) {
+    console.error(`Message check failed with ${errors.length} error(s):`);
+    errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+  console.log(`Message catalogs checked (${[SOURCE_LOCALE, ...locales].join(', ')}).`);
+};
+
+checkMessages();
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// Compiles the Markdown blog posts in src/content/posts into
+// src/content/generated/posts.json, which the blog loader (src/content/blog.js)
+// imports, and their count into src/content/generated/blog.json, which the
+// main content loader reads without pulling in the posts. Runs before
+// `npm start` and `npm run build`:
+// - Each post is `<slug>.md` with YAML frontmatter: title, date (YYYY-MM-DD),
+//   tags (slugs) and optional cover (path relative to src/assets) and draft.
+// - Drafts are only compiled with `--drafts` (used by `npm start`).
+// - Code blocks are highlighted here, so no highlighter ships to the browser.
+// - Root-relative links and images are rewritten here too: they get the site's
+//   base path (PUBLIC_URL) and links the locale prefix, so `html` is rendered
+//   once per locale. Internal links keep their in-app path in `data-path` for
+//   the router.
+// - Malformed frontmatter fails the build, like validate-content.js.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const { ROOT, BASE, locales, localizePath } = require('./site');
+
+const POSTS_DIR = path.join(ROOT, 'src', 'content', 'posts');
+const ASSETS_DIR = path.join(ROOT, 'src', 'assets');
+const OUT_FILE = path.join(ROOT, 'src', 'content', 'generated', 'posts.json');
+const SUMMARY_FILE = path.join(ROOT, 'src', 'content', 'generated', 'blog.json');
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+const includeDrafts = process.argv.includes('--drafts');
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const md = new MarkdownIt({
+  // Raw HTML in posts is escaped rather than rendered
+  html: false,
+  linkify: true,
+  typographer: true,
+  highlight: (code, lang) => {
+    const language = lang && hljs.getLanguage(lang) ? lang : null;
+    const body = language ? hljs.highlight(code, { language, ignoreIllegals: true }).value : escapeHtml(code);
+    return `<pre class="hljs"><code${language ? ` class="language-${language}"` : ''}>${body}</code></pre>`;
+  }
+});
+
+// "" at the root, "/my-portfolio" under a subpath
+const BASE_PATH = new URL(BASE).pathname.replace(/\/$/, '');
+const isRootRelative = (url) => url.startsWith('/') && !url.startsWith('//');
+
+// External links leave the site in a new tab; internal ones point into the
+// locale being rendered (`env.locale`)
+const defaultLinkOpen = md.renderer.rules.link_open || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  const href = tokens[idx].attrGet('href') || '';
+  if (/^https?:\/\//.test(href)) {
+    tokens[idx].attrSet('target', '_blank');
+    tokens[idx].attrSet('rel', 'noopener noreferrer');
+  } else if (isRootRelative(href)) {
+    tokens[idx].attrSet('href', `${BASE_PATH}${localizePath(href, env.locale)}`);
+    tokens[idx].attrSet('data-path', href);
+  }
+  return defaultLinkOpen(tokens, idx, options, env, self);
+};
+
+// Images in public/ are served from the base path
+const defaultImage = md.renderer.rules.image;
+md.renderer.rules.image = (tokens, idx, options, env, self) => {
+  const src = tokens[idx].attrGet('src') || '';
+  if (isRootRelative(src)) tokens[idx].attrSet('src', `${BASE_PATH}${src}`);
+  return defaultImage(tokens, idx, options, env, self);
+};
+
+// Plain text of the Markdown body, for the excerpt and word count
+const plainText = (markdown) =>
+  markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[#>*_`~-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const firstParagraph = (markdown) => {
+  const paragraph = markdown
+    .split(/\r?\n\s*\r?\n/)
+    .map((block) => block.trim())
+    .find((block) => block && !/^(#|```|!\[|>|[-*] |\d+\. )/.test(block));
+  const text = plainText(paragraph || '');
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…` : text;
+};
+
+const checkFrontmatter = (data) => {
+  const errors = [];
+  if (typeof data.title !== 'string' || !data.title.trim()) errors.push('title must be a non-empty string');
+  // js-yaml reads unquoted dates as Date objects
+  const date = data.date instanceof Date ? data.date.toISOString().slice(0, 10) : data.date;
+  if (typeof date !== 'string' || !DATE.test(date) || Number.isNaN(Date.parse(date))) {
+    errors.push('date must be a YYYY-MM-DD date');
+  }
+  if (!Array.isArray(data.tags) || !data.tags.length || !data.tags.every((tag) => typeof tag === 'string' && SLUG.test(tag))) {
+    errors.push('tags must be a non-empty list of slugs');
+  }
+  if (data.cover !== undefined && !fs.existsSync(path.join(ASSETS_DIR, String(data.cover)))) {
+    errors.push(`cover image not found: src/assets/${data.cover}`);
+  }
+  if (data.draft !== undefined && typeof data.draft !== 'boolean') errors.push('draft must be true or false');
+  const known = ['title', 'date', 'tags', 'cover', 'draft'];
+  Object.keys(data).filter((key) => !known.includes(key)).forEach((key) => errors.push(`unknown field "${key}"`));
+  return { errors, date };
+};
+
+const compilePost = (file) => {
+  const slug = path.basename(file, '.md');
+  const source = fs.readFileSync(path.join(POSTS_DIR, file), 'utf8');
+  const match = source.match(FRONTMATTER);
+  if (!match) return { errors: [`${file}: missing frontmatter`] };
+
+  let data;
+  try {
+    data = yaml.load(match[1]) || {};
+  } catch (err) {
+    return { errors: [`${file}: ${err.message}`] };
+  }
+  const { errors, date } = checkFrontmatter(data);
+  if (!SLUG.test(slug)) errors.push(`file name must be a slug (${slug})`);
+  if (errors.length) return { errors: errors.map((message) => `${file}: ${message}`) };
+
+  const body = source.slice(match[0].length);
+  const words = plainText(body).split(' ').filter(Boolean).length;
+  return {
+    errors: [],
+    post: {
+      slug,
+      title: data.title.trim(),
+      date,
+      tags: data.tags,
+      cover: data.cover || null,
+      draft: Boolean(data.draft),
+      excerpt: firstParagraph(body),
+      readingTime: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+      // Keyed by locale; see the link rules above
+      html: Object.fromEntries(locales().map((locale) => [locale, md.render(body, { locale })]))
+    }
+  };
+};
+
+const compilePosts = () => {
+  const files = fs.existsSync(POSTS_DIR) ? fs.readdirSync(POSTS_DIR).filter((file) => file.endsWith('.md')) : [];
+  const results = files.map(compilePost);
+  const errors = results.flatMap((result) => result.errors);
+  if (errors.length) {
+    console.error(`Blog compilation failed with ${errors.length} error(s):`);
+    errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+
+  const posts = results
+    .map((result) => result.post)
+    .filter((post) => includeDrafts || !post.draft)
+    // Newest first; same-day posts by title so the order is stable
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+
+  fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+  fs.writeFileSync(OUT_FILE, `${JSON.stringify({ posts }, null, 2)}\n`);
+  fs.writeFileSync(SUMMARY_FILE, `${JSON.stringify({ postCount: posts.length }, null, 2)}\n`);
+  const skipped = results.length - posts.length;
+  console.log(`Compiled ${posts.length} blog post(s)${skipped ? `, skipped ${skipped} draft(s)` : ''}.`);
+};
+
+compilePosts();
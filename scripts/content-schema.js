@@ -0,0 +1,147 @@
+// Field rules for the content collections in src/content.
+// Each JSON file holds named collections; each collection is an array of
+// entries whose fields must match the rules below. Every entry needs a
+// unique `id` within its collection.
+// Fields marked `translatable` may be overridden per locale in
+// src/content/locales/<locale>/<file>, matched to the English entry by id.
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_OR_YEAR = /^\d{4}(?:-(?:0[1-9]|1[0-2]))?$/;
+// "Role (Organization) | Period"; the resume splits titles on this
+const EXPERIENCE_TITLE = /^(.+?) \((.+)\) \| (.+)$/;
+
+const id = { type: 'string', pattern: SLUG };
+const text = { type: 'string', translatable: true };
+const paragraphs = { type: 'string[]', translatable: true };
+
+module.exports = {
+  'projects.json': {
+    projects: {
+      id,
+      title: { type: 'string' },
+      image: { type: 'image' },
+      description: { type: 'string' },
+      // Case study sections, written by the owner; each is shown once it is set
+      problem: { type: 'string', optional: true },
+      role: { type: 'string', optional: true },
+      process: { type: 'string[]', optional: true },
+      outcome: { type: 'string', optional: true },
+      // Images beyond the cover `image`
+      screenshots: { type: 'image[]', optional: true },
+      technologies: { type: 'string[]' },
+      repo: { type: 'url', optional: true },
+      demo: { type: 'url', optional: true },
+      note: { type: 'string', optional: true },
+      noteTone: { type: 'enum', values: ['primary', 'danger'], optional: true },
+      // When the project was published on the site (YYYY-MM-DD); orders the
+      // feeds and is the sitemap's lastmod for its case study
+      date: { type: 'string', pattern: DATE }
+    }
+  },
+  'about.json': {
+    skillCategories: {
+      id,
+      title: { type: 'string' },
+      image: { type: 'image' },
+      // Theme token for the category's bars and chart (--color-skill-<color>)
+      color: { type: 'enum', values: ['success', 'info', 'warning', 'danger', 'subtle'] }
+    },
+    skills: {
+      id,
+      name: { type: 'string' },
+      category: { type: 'ref', collection: 'skillCategories' },
+      // The owner's own rating in percent; leave the details below out until confirmed
+      proficiency: { type: 'number', min: 0, max: 100, optional: true },
+      years: { type: 'number', min: 0, optional: true },
+      // Year (YYYY) or month (YYYY-MM)
+      lastUsed: { type: 'string', pattern: MONTH_OR_YEAR, optional: true },
+      projects: { type: 'ref[]', collection: 'projects', optional: true }
+    },
+    experiences: {
+      id,
+      title: { type: 'string', pattern: EXPERIENCE_TITLE },
+      icon: { type: 'string', pattern: /^fa-[a-z0-9-]+$/ },
+      details: { type: 'string[]' }
+    },
+    // A single entry: the site owner, used by the footer and structured data
+    profile: {
+      id,
+      name: { type: 'string' },
+      givenName: { type: 'string' },
+      familyName: { type: 'string' },
+      // Left out until the owner confirms one; the pages and generated files skip it
+      jobTitle: { type: 'string', optional: true },
+      email: { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }
+    },
+    socials: {
+      id,
+      label: { type: 'string' },
+      url: { type: 'url' },
+      icon: { type: 'string', pattern: /^fa-[a-z0-9-]+$/ }
+    }
+  },
+  'gallery.json': {
+    photos: {
+      id,
+      image: { type: 'image' },
+      alt: { type: 'string' },
+      caption: { type: 'string', optional: true }
+    },
+    designSamples: {
+      id,
+      image: { type: 'image' },
+      alt: { type: 'string' },
+      caption: { type: 'string', optional: true }
+    },
+    liveProjects: {
+      id,
+      title: { type: 'string' },
+      url: { type: 'url' },
+      iframe: { type: 'url' },
+      // A real screenshot to commit; a build-time capture in
+      // src/assets/previews/captured wins when present
+      preview: { type: 'image', optional: true },
+      // Whether the site may be framed comes from the build-time header check;
+      // `false` here keeps it out of the iframe regardless
+      embeddable: { type: 'boolean', optional: true }
+    }
+  },
+  'services.json': {
+    packages: {
+      id,
+      title: text,
+      icon: { type: 'enum', values: ['briefcase', 'cart'] },
+      image: { type: 'image' },
+      imageAlt: text,
+      bestFor: text,
+      description: paragraphs,
+      included: paragraphs,
+      timeline: text,
+      investment: text,
+      disclaimer: { ...text, optional: true }
+    },
+    addons: {
+      id,
+      label: text
+    },
+    timelines: {
+      id,
+      label: text
+    },
+    budgetRanges: {
+      id,
+      label: text
+    },
+    faqs: {
+      id,
+      question: text,
+      answer: text
+    },
+    // Quotes stay in the words they were given in
+    testimonials: {
+      id,
+      name: { type: 'string' },
+      quote: { type: 'string' }
+    }
+  }
+};
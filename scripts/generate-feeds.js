@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// Writes RSS 2.0 (feed.xml), Atom (atom.xml) and JSON Feed 1.1 (feed.json)
+// into build/ after `npm run build`, from the projects in
+// src/content/projects.json and the compiled blog posts.
+// - URLs are absolute, resolved against the site base URL (see scripts/site.js).
+// - Projects are dated by their `date` in projects.json, posts by their frontmatter.
+const fs = require('fs');
+const path = require('path');
+const { ROOT, BASE, DEFAULT_LOCALE, absolute, escapeXml } = require('./site');
+
+const BUILD_DIR = path.join(ROOT, 'build');
+const PROJECTS_FILE = path.join(ROOT, 'src', 'content', 'projects.json');
+const POSTS_FILE = path.join(ROOT, 'src', 'content', 'generated', 'posts.json');
+const MAX_ITEMS = 50;
+
+const SITE = {
+  title: "Allysa's Portfolio",
+  description: 'An aspiring IT professional with a strong passion for web development and design',
+  author: 'Allysa',
+  language: 'en'
+};
+
+// Bundled images get hashed names; asset-manifest.json maps them back
+const readManifest = () => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(BUILD_DIR, 'asset-manifest.json'), 'utf8')).files;
+  } catch (_) {
+    return {};
+  }
+};
+
+const manifest = readManifest();
+
+const imageUrl = (file) => {
+  if (!file) return null;
+  const built = manifest[`static/media/${path.basename(file)}`];
+  // Manifest paths already include PUBLIC_URL, so they resolve against the origin
+  return built ? new URL(built, BASE).href : null;
+};
+
+// Root-relative links in post bodies would point at the feed reader otherwise.
+// The compile step already added the base path, so they resolve against the origin.
+const absolutizeHtml = (html) =>
+  html.replace(/(href|src)="(\/(?!\/)[^"]*)"/g, (match, attr, url) => `${attr}="${new URL(url, BASE).href}"`);
+
+// Project and post dates are calendar days (YYYY-MM-DD)
+const toIso = (date) => new Date(`${date}T00:00:00Z`).toISOString();
+
+const loadItems = () => {
+  const { projects } = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+  const posts = fs.existsSync(POSTS_FILE) ? JSON.parse(fs.readFileSync(POSTS_FILE, 'utf8')).posts : [];
+
+  const projectItems = projects.map((project) => ({
+    id: absolute(`works/${project.id}`),
+    url: absolute(`works/${project.id}`),
+    title: project.title,
+    summary: project.description,
+    html: [project.description, project.outcome].filter(Boolean).map((text) => `<p>${escapeXml(text)}</p>`).join(''),
+    date: toIso(project.date),
+    tags: project.technologies,
+    image: imageUrl(project.image)
+  }));
+
+  const postItems = posts
+    .filter((post) => !post.draft)
+    .map((post) => ({
+      id: absolute(`blog/${post.slug}`),
+      url: absolute(`blog/${post.slug}`),
+      title: post.title,
+      summary: post.excerpt,
+      html: absolutizeHtml(post.html[DEFAULT_LOCALE]),
+      date: toIso(post.date),
+      tags: post.tags,
+      image: imageUrl(post.cover)
+    }));
+
+  return [...postItems, ...projectItems]
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title))
+    .slice(0, MAX_ITEMS);
+};
+
+const rss = (items, updated) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(SITE.title)}</title>
+    <link>${escapeXml(BASE)}</link>
+    <description>${escapeXml(SITE.description)}</description>
+    <language>${SITE.language}</language>
+    <lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(absolute('feed.xml'))}" rel="self" type="application/rss+xml"/>
+${items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.date).toUTCString()}</pubDate>
+      <description>${escapeXml(item.html)}</description>
+${item.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+
+const atom = (items, updated) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE.language}">
+  <title>${escapeXml(SITE.title)}</title>
+  <subtitle>${escapeXml(SITE.description)}</subtitle>
+  <id>${escapeXml(BASE)}</id>
+  <link href="${escapeXml(BASE)}"/>
+  <link href="${escapeXml(absolute('atom.xml'))}" rel="self" type="application/atom+xml"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeXml(SITE.author)}</name></author>
+${items.map((item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link href="${escapeXml(item.url)}"/>
+    <updated>${item.date}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+${item.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>`).join('\n')}
+  </entry>`).join('\n')}
+</feed>
+`;
+
+const jsonFeed = (items) => `${JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: SITE.title,
+  home_page_url: BASE,
+  feed_url: absolute('feed.json'),
+  description: SITE.description,
+  language: SITE.language,
+  authors: [{ name: SITE.author }],
+  items: items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    content_html: item.html,
+    date_published: item.date,
+    tags: item.tags,
+    ...(item.image ? { image: item.image } : {})
+  }))
+}, null, 2)}\n`;
+
+const generateFeeds = () => {
+  if (!fs.existsSync(BUILD_DIR)) {
+    console.error('build/ not found; run `npm run build` first.');
+    process.exit(1);
+  }
+  const items = loadItems();
+  const updated = items.length ? items[0].date : new Date().toISOString();
+
+  fs.writeFileSync(path.join(BUILD_DIR, 'feed.xml'), rss(items, updated));
+  fs.writeFileSync(path.join(BUILD_DIR, 'atom.xml'), atom(items, updated));
+  fs.writeFileSync(path.join(BUILD_DIR, 'feed.json'), jsonFeed(items));
+  console.log(`Wrote feed.xml, atom.xml and feed.json with ${items.length} item(s) for ${BASE}`);
+};
+
+generateFeeds();
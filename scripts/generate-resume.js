@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Writes the resume exports into build/ after `npm run build`, from the same
+// data the /resume page renders:
+// - resume.pdf and resume.json (JSON Resume, jsonresume.org schema v1.0.0),
+//   per locale: build/resume.pdf, build/<locale>/resume.pdf, …
+// - contact.vcf, a vCard 4.0 card with the contact details and socials
+// Content comes from src/content/about.json; the summary and headings from
+// the message catalogs, with English filling in keys a locale lacks, as it
+// does at runtime. Experience titles are split with the pattern
+// content-schema.js enforces.
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { ROOT, DEFAULT_LOCALE, absolute, locales, localizePath } = require('./site');
+const schema = require('./content-schema');
+
+const BUILD_DIR = path.join(ROOT, 'build');
+const ABOUT_FILE = path.join(ROOT, 'src', 'content', 'about.json');
+const MESSAGES_DIR = path.join(ROOT, 'src', 'i18n', 'messages');
+const EXPERIENCE_TITLE = schema['about.json'].experiences.title.pattern;
+
+const MARGIN = 50;
+const COLORS = { text: '#222222', muted: '#555555', rule: '#bbbbbb' };
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const readMessages = (locale) => ({
+  ...readJson(path.join(MESSAGES_DIR, `${DEFAULT_LOCALE}.json`)),
+  ...readJson(path.join(MESSAGES_DIR, `${locale}.json`))
+});
+
+const displayUrl = (url) => url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+const splitTitle = (title) => {
+  const [, role, organization, period] = EXPERIENCE_TITLE.exec(title);
+  return { role, organization, period };
+};
+
+// "April – September 2021" or "December 2021 – January 2022" as ISO 8601
+// months; a part that isn't "Month [Year]" is left out
+const splitPeriod = (period) => {
+  const [start, end] = period.split(/\s+[–-]\s+/).map((part) => /^([A-Za-z]+)(?:\s+(\d{4}))?$/.exec(part.trim()));
+  const month = (match) => MONTHS.indexOf(match[1].toLowerCase()) + 1;
+  if (!start || !end || !end[2] || !month(start) || !month(end)) return {};
+  const iso = (match, year) => `${year}-${String(month(match)).padStart(2, '0')}`;
+  return { startDate: iso(start, start[2] || end[2]), endDate: iso(end, end[2]) };
+};
+
+// Starts a new page unless `height` more points fit on this one
+const keepTogether = (doc, height) => {
+  if (doc.y + height > doc.page.height - MARGIN) doc.addPage();
+};
+
+const sectionHeading = (doc, text) => {
+  keepTogether(doc, 60);
+  doc.moveDown(0.8);
+  doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.text).text(text.toUpperCase(), { characterSpacing: 0.5 });
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.6);
+};
+
+const writePdf = (file, locale, about, messages) => {
+  const profile = about.profile[0];
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: { Title: `${profile.name} – ${messages['meta.resume.title']}`, Author: profile.name }
+  });
+  const width = doc.page.width - MARGIN * 2;
+  const done = new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(file);
+    stream.on('finish', resolve).on('error', reject);
+    doc.pipe(stream);
+  });
+
+  doc.font(FONTS.bold).fontSize(22).fillColor(COLORS.text).text(profile.name);
+  doc.font(FONTS.regular).fontSize(12).fillColor(COLORS.muted);
+  if (profile.jobTitle) doc.text(profile.jobTitle);
+  doc.moveDown(0.3);
+  doc.fontSize(9).text([profile.email, displayUrl(absolute(localizePath('/', locale)))].join('  ·  '));
+  doc.text(about.socials.map((social) => displayUrl(social.url)).join('  ·  '));
+
+  sectionHeading(doc, messages['resume.summary']);
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text).text(messages['about.intro.tech'], { align: 'justify' });
+
+  sectionHeading(doc, messages['about.experiencesTitle']);
+  about.experiences.forEach((experience) => {
+    const { role, organization, period } = splitTitle(experience.title);
+    keepTogether(doc, 50);
+    const top = doc.y;
+    doc.font(FONTS.regular).fontSize(9).fillColor(COLORS.muted).text(period, MARGIN, top, { width, align: 'right' });
+    doc.font(FONTS.bold).fontSize(11).fillColor(COLORS.text).text(role, MARGIN, top, { width: width * 0.65, continued: true });
+    doc.font(FONTS.regular).fillColor(COLORS.muted).text(` · ${organization}`);
+    doc.moveDown(0.2);
+    doc.fontSize(10).fillColor(COLORS.text).list(experience.details, { bulletRadius: 1.5, textIndent: 10, paragraphGap: 2 });
+    doc.moveDown(0.6);
+  });
+
+  sectionHeading(doc, messages['about.skillsTitle']);
+  about.skillCategories.forEach((category) => {
+    const names = about.skills.filter((skill) => skill.category === category.id).map((skill) => skill.name);
+    keepTogether(doc, 30);
+    doc.font(FONTS.bold).fontSize(10).fillColor(COLORS.text).text(`${category.title}: `, { continued: true });
+    doc.font(FONTS.regular).text(names.join(', '));
+    doc.moveDown(0.3);
+  });
+
+  doc.end();
+  return done;
+};
+
+const jsonResume = (locale, about, messages) => {
+  const profile = about.profile[0];
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: {
+      name: profile.name,
+      ...(profile.jobTitle ? { label: profile.jobTitle } : {}),
+      email: profile.email,
+      url: absolute(localizePath('/', locale)),
+      summary: messages['about.intro.tech'],
+      profiles: about.socials.map((social) => ({
+        network: social.label,
+        username: new URL(social.url).pathname.split('/').filter(Boolean).pop(),
+        url: social.url
+      }))
+    },
+    work: about.experiences.map((experience) => {
+      const { role, organization, period } = splitTitle(experience.title);
+      return { name: organization, position: role, ...splitPeriod(period), highlights: experience.details };
+    }),
+    skills: about.skillCategories.map((category) => ({
+      name: category.title,
+      keywords: about.skills.filter((skill) => skill.category === category.id).map((skill) => skill.name)
+    })),
+    meta: {
+      canonical: absolute(localizePath('/resume.json', locale)),
+      version: 'v1.0.0'
+    }
+  };
+};
+
+// vCard text values escape backslashes, commas, semicolons and newlines
+const escapeVcard = (value) => String(value).replace(/[\\,;]/g, '\\$&').replace(/\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  [...line].forEach((char) => {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  });
+  return [...parts, current].join('\r\n ');
+};
+
+const vcard = (about) => {
+  const profile = about.profile[0];
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    'KIND:individual',
+    `FN:${escapeVcard(profile.name)}`,
+    `N:${escapeVcard(profile.familyName)};${escapeVcard(profile.givenName)};;;`,
+    ...(profile.jobTitle ? [`TITLE:${escapeVcard(profile.jobTitle)}`] : []),
+    `EMAIL;TYPE=work:${profile.email}`,
+    `URL:${absolute('/')}`,
+    // Not in RFC 6350, but the property address books read social profiles from
+    ...about.socials.map((social) => `X-SOCIALPROFILE;TYPE=${social.id}:${social.url}`),
+    'END:VCARD'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const generateResume = async () => {
+  if (!fs.existsSync(BUILD_DIR)) {
+    console.error('build/ not found; run `npm run build` first.');
+    process.exit(1);
+  }
+  const about = readJson(ABOUT_FILE);
+  const files = [];
+  const output = (pathname) => {
+    const file = path.join(BUILD_DIR, pathname);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    files.push(path.relative(BUILD_DIR, file));
+    return file;
+  };
+  for (const locale of locales()) {
+    const messages = readMessages(locale);
+    await writePdf(output(localizePath('/resume.pdf', locale)), locale, about, messages);
+    fs.writeFileSync(output(localizePath('/resume.json', locale)), `${JSON.stringify(jsonResume(locale, about, messages), null, 2)}\n`);
+  }
+  fs.writeFileSync(output('/contact.vcf'), vcard(about));
+  console.log(`Wrote ${files.join(', ')}`);
+};
+
+generateResume();
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Writes sitemap.xml and robots.txt into build/ after `npm run build`, from
+// the route table in src/routes.json (expanded by scripts/routes.js):
+// - Each route with a `sitemap` entry is listed once per locale, with
+//   hreflang alternates; `"sitemap": false` routes are disallowed in robots.txt.
+// - A route whose params can't be filled fails the build.
+const fs = require('fs');
+const path = require('path');
+const { ROOT, DEFAULT_LOCALE, absolute, escapeXml, locales, localizePath } = require('./site');
+const { expandRoutes, readRoutes } = require('./routes');
+
+const BUILD_DIR = path.join(ROOT, 'build');
+
+const urlEntry = ({ pathname, lastmod }, sitemap, locale, allLocales) => `  <url>
+    <loc>${escapeXml(absolute(localizePath(pathname, locale)))}</loc>
+${allLocales.map((other) => `    <xhtml:link rel="alternate" hreflang="${other}" href="${escapeXml(absolute(localizePath(pathname, other)))}"/>`).join('\n')}
+    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(absolute(localizePath(pathname, DEFAULT_LOCALE)))}"/>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}${sitemap.changefreq ? `    <changefreq>${sitemap.changefreq}</changefreq>\n` : ''}${sitemap.priority !== undefined ? `    <priority>${sitemap.priority.toFixed(1)}</priority>\n` : ''}  </url>`;
+
+const robots = (disallowed) => `User-agent: *
+Allow: /
+${disallowed.map((pathname) => `Disallow: ${new URL(absolute(pathname)).pathname}`).join('\n')}
+
+Sitemap: ${absolute('sitemap.xml')}
+`;
+
+const generateSitemap = () => {
+  if (!fs.existsSync(BUILD_DIR)) {
+    console.error('build/ not found; run `npm run build` first.');
+    process.exit(1);
+  }
+  const allLocales = locales();
+  const { pages, errors } = expandRoutes((route) => route.sitemap);
+
+  const entries = pages.flatMap((page) =>
+    allLocales.map((locale) => urlEntry(page, page.route.sitemap, locale, allLocales))
+  );
+  const disallowed = readRoutes()
+    .filter((route) => route.sitemap === false)
+    .flatMap((route) => allLocales.map((locale) => localizePath(route.path, locale)));
+
+  if (errors.length) {
+    console.error(`Sitemap generation failed with ${errors.length} error(s):`);
+    errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+
+  fs.writeFileSync(
+    path.join(BUILD_DIR, 'sitemap.xml'),
+    `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.join('\n')}
+</urlset>
+`
+  );
+  fs.writeFileSync(path.join(BUILD_DIR, 'robots.txt'), robots(disallowed));
+  console.log(`Wrote sitemap.xml with ${entries.length} URL(s) and robots.txt`);
+};
+
+generateSitemap();
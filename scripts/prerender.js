@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Renders every route in src/routes.json to static HTML after `npm run build`,
+// so crawlers and visitors without JavaScript get the page's markup and head
+// tags, and deep links are real files on Netlify and GitHub Pages:
+// - Each page (in every locale) is loaded from build/ in jsdom with the real
+//   bundle, which server-renders it with react-dom/server (src/prerender.js)
+//   instead of mounting the app; the result is written to
+//   build/<path>/index.html. src/index.js then hydrates it instead of
+//   rendering from scratch.
+// - The untouched app shell is kept as build/404.html, so URLs that aren't
+//   prerendered (gallery lightbox views, unknown paths) still boot the app.
+// - Routes marked `"prerender": false` (per-visitor pages such as /inquiry)
+//   are left to the shell.
+// - Scripts added while rendering (the prerender chunk, code-split pages) are
+//   dropped from the output; the page's JSON-LD is kept.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { ROOT, BASE, absolute, locales, localizePath } = require('./site');
+const { expandRoutes } = require('./routes');
+
+const BUILD_DIR = path.join(ROOT, 'build');
+const SHELL_FILE = path.join(BUILD_DIR, '404.html');
+const PAGE_TIMEOUT = 15000;
+
+// Serves same-site URLs from build/ and refuses everything else
+class BuildLoader extends ResourceLoader {
+  fetch(url) {
+    if (!url.startsWith(BASE)) return null;
+    const file = path.join(BUILD_DIR, decodeURIComponent(new URL(url).pathname.slice(new URL(BASE).pathname.length)));
+    if (!file.startsWith(BUILD_DIR) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) return null;
+    // jsdom can't use the stylesheets, and its CSS parser is noisy about modern syntax
+    const body = file.endsWith('.css') ? Buffer.from('') : fs.readFileSync(file);
+    const promise = Promise.resolve(body);
+    promise.abort = () => {};
+    return promise;
+  }
+}
+
+const timeout = (ms) =>
+  new Promise((_, reject) => {
+    setTimeout(() => reject(new Error('timed out waiting for the page to render')), ms).unref();
+  });
+
+const renderPage = async (url, shell) => {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+  virtualConsole.on('jsdomError', (err) => errors.push(err.message));
+
+  // src/index.js hands the server render's promise to window.__PRERENDER__
+  let rendered = null;
+  const dom = new JSDOM(shell, {
+    url,
+    runScripts: 'dangerously',
+    resources: new BuildLoader(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse: (window) => {
+      // react-dom/server needs it, and jsdom doesn't have it
+      window.TextEncoder = TextEncoder;
+      rendered = new Promise((resolve) => {
+        window.__PRERENDER__ = resolve;
+      });
+    }
+  });
+  const { window } = dom;
+  const shellScripts = new Set(
+    [...new JSDOM(shell).window.document.querySelectorAll('script')].map((script) => script.outerHTML)
+  );
+
+  try {
+    await Promise.race([rendered, timeout(PAGE_TIMEOUT)]);
+    if (errors.length) throw new Error(errors[0]);
+
+    // Keep the shell's own scripts and the page's JSON-LD
+    window.document.querySelectorAll('script').forEach((script) => {
+      if (!shellScripts.has(script.outerHTML) && !script.hasAttribute('data-page-meta')) script.remove();
+    });
+    return dom.serialize();
+  } finally {
+    window.close();
+  }
+};
+
+const outputFile = (pathname) => path.join(BUILD_DIR, pathname, 'index.html');
+
+const prerender = async () => {
+  if (!fs.existsSync(BUILD_DIR)) {
+    console.error('build/ not found; run `npm run build` first.');
+    process.exit(1);
+  }
+  // The shell is saved once per build; rerunning renders from it, not from a rendered page
+  if (!fs.existsSync(SHELL_FILE)) fs.copyFileSync(path.join(BUILD_DIR, 'index.html'), SHELL_FILE);
+  const shell = fs.readFileSync(SHELL_FILE, 'utf8');
+
+  const { pages, errors } = expandRoutes((route) => route.prerender !== false);
+  const targets = pages.flatMap((page) => locales().map((locale) => localizePath(page.pathname, locale)));
+
+  for (const pathname of targets) {
+    try {
+      const html = await renderPage(absolute(pathname), shell);
+      fs.mkdirSync(path.dirname(outputFile(pathname)), { recursive: true });
+      fs.writeFileSync(outputFile(pathname), html);
+    } catch (err) {
+      errors.push(`${pathname}: ${err.message}`);
+    }
+  }
+
+  if (errors.length) {
+    console.error(`Prerendering failed with ${errors.length} error(s):`);
+    errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+  console.log(`Prerendered ${targets.length} page(s) into build/.`);
+};
+
+prerender();
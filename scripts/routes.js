@@ -0,0 +1,69 @@
+// Concrete pages for the route table in src/routes.json, shared by the
+// sitemap and prerender steps:
+// - `:param` segments are filled from the source named in the route's
+//   `params` (projects, posts or tags); optional `:param?` segments are dropped.
+// - A required param without a source is reported as an error, so a new
+//   route can't silently go missing from the build output.
+// - A route with `requires` (a source name) has no pages while that source is
+//   empty, e.g. /blog before any post is published.
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./site');
+
+const ROUTES_FILE = path.join(ROOT, 'src', 'routes.json');
+const PROJECTS_FILE = path.join(ROOT, 'src', 'content', 'projects.json');
+const POSTS_FILE = path.join(ROOT, 'src', 'content', 'generated', 'posts.json');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const readRoutes = () => readJson(ROUTES_FILE).routes;
+
+// Values for each param source, with an optional last-modified date
+const paramSources = () => {
+  const { projects } = readJson(PROJECTS_FILE);
+  const posts = fs.existsSync(POSTS_FILE) ? readJson(POSTS_FILE).posts.filter((post) => !post.draft) : [];
+  const tags = [...new Set(posts.flatMap((post) => post.tags))].sort();
+  return {
+    projects: projects.map((project) => ({ value: project.id, lastmod: project.date })),
+    posts: posts.map((post) => ({ value: post.slug, lastmod: post.date })),
+    tags: tags.map((tag) => ({ value: tag }))
+  };
+};
+
+// Concrete paths for one route: [{ pathname, lastmod }]
+const expandRoute = (route, sources, errors) => {
+  if (route.requires && !(sources[route.requires] || []).length) return [];
+  const segments = route.path.split('/').filter((segment) => !/^:\w+\?$/.test(segment));
+  let paths = [{ pathname: segments.join('/') || '/', lastmod: undefined }];
+
+  segments
+    .filter((segment) => segment.startsWith(':'))
+    .forEach((segment) => {
+      const name = segment.slice(1);
+      const source = sources[(route.params || {})[name]];
+      if (!source) {
+        errors.push(`${route.id}: no params source for ":${name}" in ${route.path}`);
+        paths = [];
+        return;
+      }
+      paths = paths.flatMap((entry) =>
+        source.map((item) => ({
+          pathname: entry.pathname.replace(segment, encodeURIComponent(item.value)),
+          lastmod: item.lastmod || entry.lastmod
+        }))
+      );
+    });
+  return paths;
+};
+
+// Every page of the routes that pass `filter`: { pages: [{ route, pathname, lastmod }], errors }
+const expandRoutes = (filter) => {
+  const sources = paramSources();
+  const errors = [];
+  const pages = readRoutes()
+    .filter(filter)
+    .flatMap((route) => expandRoute(route, sources, errors).map((page) => ({ route, ...page })));
+  return { pages, errors };
+};
+
+module.exports = { readRoutes, expandRoutes };
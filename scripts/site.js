@@ -0,0 +1,50 @@
+// Site-wide facts shared by the build scripts that write absolute URLs
+// (feeds, sitemap, prerender).
+// - The base URL is PUBLIC_URL when it is set, otherwise `homepage` in
+//   package.json (a path-only PUBLIC_URL is resolved against the homepage).
+// - Locales mirror src/i18n/index.js: English at the root, others under
+//   `/<locale>`; the catalogs in src/i18n/messages list them.
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MESSAGES_DIR = path.join(ROOT, 'src', 'i18n', 'messages');
+const DEFAULT_LOCALE = 'en';
+
+const pkg = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+
+// Always ends with a slash so relative paths resolve beneath it
+const siteUrl = () => {
+  const base = new URL(process.env.PUBLIC_URL || pkg.homepage, pkg.homepage).href;
+  return base.endsWith('/') ? base : `${base}/`;
+};
+
+const BASE = siteUrl();
+
+const absolute = (pathname) => new URL(pathname.replace(/^\//, ''), BASE).href;
+
+const locales = () => [
+  DEFAULT_LOCALE,
+  ...fs
+    .readdirSync(MESSAGES_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .map((file) => path.basename(file, '.json'))
+    .filter((locale) => locale !== DEFAULT_LOCALE)
+    .sort()
+];
+
+// In-app path in a locale, e.g. ('/services', 'fil') -> '/fil/services'
+const localizePath = (pathname, locale) => {
+  if (locale === DEFAULT_LOCALE) return pathname;
+  return pathname === '/' ? `/${locale}` : `/${locale}${pathname}`;
+};
+
+const escapeXml = (s) =>
+  String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+module.exports = { ROOT, BASE, DEFAULT_LOCALE, absolute, locales, localizePath, escapeXml };
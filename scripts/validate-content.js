@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// Checks every content collection in src/content against scripts/content-schema.js.
+// Runs before `npm run build` so a missing image, duplicate id or malformed
+// field fails the build instead of rendering a broken card.
+const fs = require('fs');
+const path = require('path');
+const schema = require('./content-schema');
+const { DEFAULT_LOCALE, locales } = require('./site');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT, 'src', 'content');
+const LOCALES_DIR = path.join(CONTENT_DIR, 'locales');
+const ASSETS_DIR = path.join(ROOT, 'src', 'assets');
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const checkField = (value, rule, collections) => {
+  switch (rule.type) {
+    case 'string':
+      if (!isNonEmptyString(value)) return 'must be a non-empty string';
+      if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+      return null;
+    case 'string[]':
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+      if (!value.every(isNonEmptyString)) return 'must only contain non-empty strings';
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) return 'must be a number';
+      if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'enum':
+      return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+    case 'url':
+      try {
+        const { protocol } = new URL(value);
+        return protocol === 'https:' || protocol === 'http:' ? null : 'must be an http(s) URL';
+      } catch (_) {
+        return 'must be an absolute URL';
+      }
+    case 'image':
+      if (!isNonEmptyString(value)) return 'must be a path relative to src/assets';
+      return fs.existsSync(path.join(ASSETS_DIR, value)) ? null : `image not found: src/assets/${value}`;
+    case 'image[]': {
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+      const missing = value.map((item) => checkField(item, { type: 'image' }, collections)).find(Boolean);
+      return missing || null;
+    }
+    case 'ref': {
+      const target = collections[rule.collection] || [];
+      return target.some((entry) => entry.id === value) ? null : `unknown ${rule.collection} id "${value}"`;
+    }
+    case 'ref[]': {
+      if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array';
+      const unknown = value.map((item) => checkField(item, { ...rule, type: 'ref' }, collections)).find(Boolean);
+      return unknown || null;
+    }
+    default:
+      return `unknown rule type "${rule.type}"`;
+  }
+};
+
+/*
+  Translations in src/content/locales/<locale>/<file>: the same collections,
+  each entry naming an English entry by id and overriding only fields the
+  schema marks `translatable`.
+*/
+const validateTranslations = (collections, errors) => {
+  if (!fs.existsSync(LOCALES_DIR)) return;
+  const known = locales().filter((locale) => locale !== DEFAULT_LOCALE);
+  fs.readdirSync(LOCALES_DIR).forEach((locale) => {
+    if (!known.includes(locale)) {
+      errors.push(`locales/${locale}: not a translated locale (see src/i18n/messages)`);
+      return;
+    }
+    fs.readdirSync(path.join(LOCALES_DIR, locale)).forEach((file) => {
+      const where = `locales/${locale}/${file}`;
+      const fileSchema = schema[file];
+      if (!fileSchema) {
+        errors.push(`${where}: no ${file} to translate`);
+        return;
+      }
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, locale, file), 'utf8'));
+      } catch (err) {
+        errors.push(`${where}: ${err.message}`);
+        return;
+      }
+      Object.entries(data).forEach(([name, entries]) => {
+        const fields = fileSchema[name];
+        if (!fields) {
+          errors.push(`${where}: unexpected collection "${name}"`);
+          return;
+        }
+        if (!Array.isArray(entries)) {
+          errors.push(`${where}: "${name}" must be an array`);
+          return;
+        }
+        const seen = new Set();
+        entries.forEach((entry, index) => {
+          const at = `${where} ${name}[${index}]${entry && entry.id ? ` (${entry.id})` : ''}`;
+          if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${at}: must be an object`);
+            return;
+          }
+          if (!(collections[name] || []).some((item) => item.id === entry.id)) {
+            errors.push(`${at}: unknown ${name} id "${entry.id}"`);
+          }
+          if (seen.has(entry.id)) errors.push(`${at}: duplicate id "${entry.id}"`);
+          seen.add(entry.id);
+          Object.entries(entry)
+            .filter(([field]) => field !== 'id')
+            .forEach(([field, value]) => {
+              if (!fields[field] || !fields[field].translatable) {
+                errors.push(`${at}: "${field}" is not translatable`);
+                return;
+              }
+              const problem = checkField(value, fields[field], collections);
+              if (problem) errors.push(`${at}: "${field}" ${problem}`);
+            });
+        });
+      });
+    });
+  });
+};
+
+const validateContent = () => {
+  const errors = [];
+  const collections = {};
+  const fileSchemas = [];
+
+  Object.entries(schema).forEach(([file, fileSchema]) => {
+    const filePath = path.join(CONTENT_DIR, file);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      errors.push(`${file}: ${err.message}`);
+      return;
+    }
+    Object.keys(fileSchema).forEach((name) => {
+      if (!Array.isArray(data[name])) {
+        errors.push(`${file}: "${name}" must be an array`);
+        return;
+      }
+      collections[name] = data[name];
+      fileSchemas.push({ file, name, fields: fileSchema[name] });
+    });
+    Object.keys(data)
+      .filter((name) => !fileSchema[name])
+      .forEach((name) => errors.push(`${file}: unexpected collection "${name}"`));
+  });
+
+  // Field checks run after every file is loaded so `ref` rules can see all collections
+  fileSchemas.forEach(({ file, name, fields }) => {
+    const seen = new Set();
+    collections[name].forEach((entry, index) => {
+      const where = `${file} ${name}[${index}]${entry && entry.id ? ` (${entry.id})` : ''}`;
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+      Object.entries(fields).forEach(([field, rule]) => {
+        if (entry[field] === undefined) {
+          if (!rule.optional) errors.push(`${where}: missing required field "${field}"`);
+          return;
+        }
+        const problem = checkField(entry[field], rule, collections);
+        if (problem) errors.push(`${where}: "${field}" ${problem}`);
+      });
+      Object.keys(entry)
+        .filter((field) => !fields[field])
+        .forEach((field) => errors.push(`${where}: unexpected field "${field}"`));
+      if (seen.has(entry.id)) errors.push(`${where}: duplicate id "${entry.id}"`);
+      seen.add(entry.id);
+    });
+  });
+
+  validateTranslations(collections, errors);
+  return errors;
+};
+
+if (require.main === module) {
+  const errors = validateContent();
+  if (errors.length) {
+    console.error(`Content validation failed with ${errors.length} error(s):`);
+    errors.forEach((error) => console.error(`  - ${error}`));
+    process.exit(1);
+  }
+  console.log('Content validation passed.');
+}
+
+module.exports = validateContent;
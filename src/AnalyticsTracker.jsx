@@ -1,16 +1,25 @@
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
 import { useLocation } from 'react-router-dom';
-import ReactGA from 'react-ga4';
-
-const measurementId = 'G-486L2SLZQ1'; // Replace with your GA4 ID
-ReactGA.initialize(measurementId);
+import useConsent from './hooks/useConsent';
+import { disableAnalytics, enableAnalytics, trackPageview } from './analytics';
 
 export default function AnalyticsTracker() {
   const location = useLocation();
+  const consent = useConsent();
+  const granted = Boolean(consent && consent.analytics);
+  const page = location.pathname + location.search;
+  const pageRef = useRef(page);
+  pageRef.current = page;
+
+  useEffect(() => {
+    // Providers loaded on consent also count the page it was given on
+    if (granted) enableAnalytics(pageRef.current);
+    else disableAnalytics();
+  }, [granted]);
 
   useEffect(() => {
-    // Sends pageview to GA on every route change
-    ReactGA.send({ hitType: 'pageview', page: location.pathname + location.search });
+    // Sends a pageview on every route change to the providers that are active
+    trackPageview(pageRef.current);
   }, [location]);
 
   return null;
@@ -1,67 +1,133 @@
-import React, { Suspense, lazy } from 'react';
-import { Routes, Route } from 'react-router-dom';
+import React, { Suspense } from 'react';
+import { Routes, Route, matchRoutes } from 'react-router-dom';
 import ScrollToTop from './components/ScrollToTop';
-import Navbar from './components/Navbar';
+import Layout from './components/Layout';
 import Hero from './components/Hero';
 import Gallery from './components/Gallery';
 import About from './components/About';
 import Projects from './components/Projects';
+import ProjectDetail from './components/ProjectDetail';
 import Contact from './components/Contact';
+import Resume from './components/Resume';
 import ThankYou from './components/ThankYou';
+import InquiryWizard from './components/InquiryWizard';
+import NotFound from './components/NotFound';
+import ErrorReporter from './components/ErrorReporter';
 import AnalyticsTracker from './AnalyticsTracker';
+import SubmissionQueue from './components/SubmissionQueue';
+import ConsentBanner from './components/ConsentBanner';
 import './App.css';
-const Services = lazy(() => import('./components/Services'));
+import routeTable from './routes.json';
+
+// Like React.lazy, but renders synchronously once the chunk has loaded.
+// React.lazy always suspends on its first render, which would leave the
+// fallback in a server render and discard a prerendered page's markup during
+// hydration; preloadRoute avoids both.
+const lazyPage = (load) => {
+  let Component = null;
+  let error = null;
+  let pending = null;
+  // Settles either way; a failed chunk is rethrown on render, as React.lazy does
+  const preload = () => {
+    pending = pending || load().then(
+      (module) => {
+        Component = module.default;
+      },
+      (err) => {
+        error = err;
+      }
+    );
+    return pending;
+  };
+  const Page = (props) => {
+    if (error) throw error;
+    if (!Component) throw preload();
+    return <Component {...props} />;
+  };
+  Page.preload = preload;
+  return Page;
+};
+
+const Services = lazyPage(() => import('./components/Services'));
+const Blog = lazyPage(() => import('./components/Blog'));
+const BlogPost = lazyPage(() => import('./components/BlogPost'));
+
+// Suspense for a code-split page
+const PageSuspense = ({ children }) => (
+  <Suspense fallback={<div className="container">Loading…</div>}>{children}</Suspense>
+);
+
+// Code-split pages per route id, loaded ahead of hydration
+const LAZY_PAGES = {
+  services: [Services],
+  blog: [Blog],
+  'blog-tag': [Blog],
+  'blog-post': [BlogPost]
+};
+
+// Loads the chunks the page at `pathname` (relative to the basename) needs
+export const preloadRoute = (pathname) => {
+  const matches = matchRoutes(routeTable.routes, pathname) || [];
+  return Promise.all(
+    matches.flatMap(({ route }) => (LAZY_PAGES[route.id] || []).map((page) => page.preload()))
+  );
+};
+
+// The element for each route id in routes.json, rendered inside <Layout />.
+// The table itself is shared with the build scripts (sitemap), so paths are only defined there.
+const PAGES = {
+  home: <Hero />,
+  about: <About />,
+  works: <Projects />,
+  project: <ProjectDetail />,
+  gallery: <Gallery />,
+  resume: <Resume />,
+  contact: <Contact page />,
+  services: (
+    <>
+      <PageSuspense>
+        <Services />
+      </PageSuspense>
+      <Contact />
+    </>
+  ),
+  blog: (
+    <PageSuspense>
+      <Blog />
+    </PageSuspense>
+  ),
+  'blog-tag': (
+    <PageSuspense>
+      <Blog />
+    </PageSuspense>
+  ),
+  'blog-post': (
+    <PageSuspense>
+      <BlogPost />
+    </PageSuspense>
+  ),
+  inquiry: <InquiryWizard />,
+  'thank-you': <ThankYou />,
+  'not-found': <NotFound />
+};
 
 function App() {
   return (
     <div className="App">
       <ScrollToTop />
+      <ErrorReporter />
       <AnalyticsTracker />
+      <SubmissionQueue />
       <Routes>
-        <Route path="/" element={
-          <>
-            <Navbar />
-            <Hero />
-          </>
-        } />
-        <Route path="/about" element={
-          <>
-            <Navbar />
-            <About />
-          </>
-        } />
-        <Route path="/works" element={
-          <>
-            <Navbar />
-            <Projects />
-          </>
-        } />
-        <Route path="/gallery" element={
-          <>
-            <Navbar />
-            <Gallery />
-          </>
-        } />
-        <Route path="/contact" element={
-          <>
-            <Navbar />
-            <Contact />
-          </>
-        } />
-        <Route path="/services" element={
-          <>
-            <Navbar />
-            <Suspense fallback={<div className="container">Loading…</div>}>
-              <Services />
-            </Suspense>
-            <Contact />
-          </>
-        } />
-        <Route path="/thank-you" element={<ThankYou />} />
+        <Route element={<Layout />}>
+          {routeTable.routes.map((route) => (
+            <Route key={route.id} path={route.path} element={PAGES[route.id]} />
+          ))}
+        </Route>
       </Routes>
+      <ConsentBanner />
     </div>
   );
 }
 
 export default App;
-
@@ -0,0 +1,28 @@
+/*
+  Console adapter for local development and tests: keeps every call in `events`
+  ({ type: 'pageview' | 'event', name, props }) and optionally logs it. It sends
+  nothing off the device, so it runs without consent.
+*/
+const createConsoleAdapter = ({ log = true } = {}) => {
+  const events = [];
+  const record = (entry) => {
+    events.push(entry);
+    if (log) console.info('[analytics]', entry.type === 'pageview' ? 'pageview' : entry.name, entry.props);
+  };
+
+  return {
+    name: 'console',
+    needsConsent: false,
+    events,
+    load() {},
+    disable() {},
+    pageview(page) {
+      record({ type: 'pageview', name: 'pageview', props: { page } });
+    },
+    event(name, props) {
+      record({ type: 'event', name, props });
+    }
+  };
+};
+
+export default createConsoleAdapter;
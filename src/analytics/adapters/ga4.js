@@ -0,0 +1,37 @@
+import ReactGA from 'react-ga4';
+
+/*
+  Google Analytics 4 through react-ga4.
+  - gtag.js is requested on load(), i.e. only after consent, with the
+    automatic page_view off: pageviews come from pageview(), once per route.
+  - Withdrawing consent can't unload gtag.js, so the measurement id is switched
+    off with Google's `ga-disable-<id>` flag until load() is called again.
+*/
+const createGa4Adapter = ({ measurementId = '' } = {}) => {
+  const setDisabled = (disabled) => {
+    if (measurementId) window[`ga-disable-${measurementId}`] = disabled;
+  };
+
+  return {
+    name: 'ga4',
+    needsConsent: true,
+    load() {
+      if (!measurementId) return;
+      setDisabled(false);
+      if (!ReactGA.isInitialized) {
+        ReactGA.initialize(measurementId, { gtagOptions: { send_page_view: false } });
+      }
+    },
+    disable() {
+      setDisabled(true);
+    },
+    pageview(page) {
+      if (measurementId) ReactGA.send({ hitType: 'pageview', page });
+    },
+    event(name, props) {
+      if (measurementId) ReactGA.event(name, props);
+    }
+  };
+};
+
+export default createGa4Adapter;
@@ -0,0 +1,21 @@
+import createGa4Adapter from './ga4';
+import createPlausibleAdapter from './plausible';
+import createConsoleAdapter from './console';
+
+const factories = {
+  ga4: createGa4Adapter,
+  plausible: createPlausibleAdapter,
+  console: createConsoleAdapter
+};
+
+// Build the adapters named in `config.providers`, each with its own options
+export const createAdapters = (config) =>
+  config.providers.map((name) => {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown analytics provider "${name}" (expected ${Object.keys(factories).join(', ')})`);
+    }
+    return factory(config[name] || {});
+  });
+
+export { createGa4Adapter, createPlausibleAdapter, createConsoleAdapter };
@@ -0,0 +1,54 @@
+/*
+  Plausible Analytics, hosted or self-hosted (point `scriptSrc` at your own
+  instance). Uses the script's "manual" variant so pageviews are sent per route
+  change, like GA4. Calls made before the script arrives are queued the way
+  Plausible's own snippet does.
+*/
+const createPlausibleAdapter = ({ domain = '', scriptSrc = 'https://plausible.io/js/script.manual.js' } = {}) => {
+  let script = null;
+
+  const plausible = (...args) => {
+    window.plausible =
+      window.plausible ||
+      function queue(...queued) {
+        (window.plausible.q = window.plausible.q || []).push(queued);
+      };
+    window.plausible(...args);
+  };
+
+  // Plausible's own opt-out switch, honoured by its script
+  const setIgnored = (ignored) => {
+    try {
+      if (ignored) window.localStorage.setItem('plausible_ignore', 'true');
+      else window.localStorage.removeItem('plausible_ignore');
+    } catch (_) {
+      // without storage the script keeps running until the page is left
+    }
+  };
+
+  return {
+    name: 'plausible',
+    needsConsent: true,
+    load() {
+      if (!domain) return;
+      setIgnored(false);
+      if (script) return;
+      script = document.createElement('script');
+      script.defer = true;
+      script.src = scriptSrc;
+      script.dataset.domain = domain;
+      document.head.appendChild(script);
+    },
+    disable() {
+      if (script) setIgnored(true);
+    },
+    pageview(page) {
+      if (domain) plausible('pageview', { u: new URL(page, window.location.origin).href });
+    },
+    event(name, props) {
+      if (domain) plausible(name, { props });
+    }
+  };
+};
+
+export default createPlausibleAdapter;
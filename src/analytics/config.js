@@ -0,0 +1,25 @@
+// Analytics settings, overridable per environment through REACT_APP_* variables.
+// Providers that need consent aren't loaded until the visitor gives it (see ./consent.js).
+const list = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const analyticsConfig = {
+  // Any of ga4, plausible, console, comma-separated
+  providers: list(process.env.REACT_APP_ANALYTICS_PROVIDERS ?? 'ga4'),
+  ga4: {
+    measurementId: process.env.REACT_APP_GA_MEASUREMENT_ID ?? 'G-486L2SLZQ1'
+  },
+  plausible: {
+    domain: process.env.REACT_APP_PLAUSIBLE_DOMAIN || 'allysarepeso.netlify.app',
+    // Self-hosted instances serve the same script from their own origin
+    scriptSrc: process.env.REACT_APP_PLAUSIBLE_SCRIPT_URL || 'https://plausible.io/js/script.manual.js'
+  },
+  console: {
+    log: process.env.NODE_ENV === 'development'
+  }
+};
+
+export default analyticsConfig;
@@ -0,0 +1,68 @@
+/*
+  The visitor's analytics consent.
+  - An explicit choice (accept, reject or a customized one) is kept in
+    localStorage together with CONSENT_VERSION; bumping the version asks again.
+  - Without a stored choice, a Do Not Track or Global Privacy Control signal
+    counts as a refusal and no banner is shown. The visitor can still opt in
+    from the privacy settings.
+  - Necessary storage (theme, language, queued messages) isn't covered here:
+    it never leaves the browser.
+*/
+
+export const CONSENT_STORAGE_KEY = 'consent';
+export const CONSENT_VERSION = 1;
+// Optional categories the visitor can turn on; each maps to providers in ./index.js
+export const CONSENT_CATEGORIES = ['analytics'];
+
+const listeners = new Set();
+
+export const doNotTrack = () => {
+  const nav = window.navigator;
+  return [nav.doNotTrack, window.doNotTrack, nav.msDoNotTrack].includes('1') || nav.globalPrivacyControl === true;
+};
+
+const readChoice = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(CONSENT_STORAGE_KEY));
+    return stored && stored.version === CONSENT_VERSION ? stored : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+const grantsFrom = (choice) =>
+  Object.fromEntries(CONSENT_CATEGORIES.map((category) => [category, Boolean(choice && choice[category])]));
+
+// { decided, source: 'choice' | 'dnt' | null, analytics, ... } for every category
+export const getConsent = () => {
+  const choice = readChoice();
+  if (choice) return { decided: true, source: 'choice', ...grantsFrom(choice) };
+  if (doNotTrack()) return { decided: true, source: 'dnt', ...grantsFrom(null) };
+  return { decided: false, source: null, ...grantsFrom(null) };
+};
+
+const emit = (event) => listeners.forEach((listener) => listener(event));
+
+// Save the visitor's choice, e.g. { analytics: true }; missing categories are refused
+export const setConsent = (grants) => {
+  const choice = { version: CONSENT_VERSION, ...grantsFrom(grants), decidedAt: new Date().toISOString() };
+  try {
+    window.localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(choice));
+  } catch (_) {
+    // Storage disabled: the choice holds for this page view only
+  }
+  emit({ type: 'change', consent: { decided: true, source: 'choice', ...grantsFrom(grants) } });
+};
+
+export const acceptAll = () => setConsent(Object.fromEntries(CONSENT_CATEGORIES.map((category) => [category, true])));
+
+export const rejectAll = () => setConsent({});
+
+// Reopen the consent settings (the footer's "Privacy settings" link)
+export const openConsentSettings = () => emit({ type: 'open' });
+
+// Listen for { type: 'change', consent } and { type: 'open' } events
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,57 @@
+/*
+  Every analytics event the site sends, with the props each one takes.
+  - A prop spec is 'string', 'number' or a list of allowed values; a trailing
+    '?' marks it optional.
+  - track() checks events against this catalog and drops (and, outside
+    production, warns about) anything that doesn't match, so reports only
+    ever contain the names and values listed here.
+  - README.md ("Analytics events") mirrors this table; update both together.
+*/
+
+// Funnel steps shared by the contact form and the /inquiry wizard. The wizard
+// also reports each of its steps by id (package, addons, scope, contact, review).
+export const CONTACT_STEPS = ['start', 'submit', 'sent', 'queued'];
+
+export const EVENTS = {
+  // "View My Work" buttons
+  view_work_click: { location: ['hero', 'about'] },
+  // "Send an Inquiry" and "Inquire about this package" on Services
+  inquiry_click: { location: ['services_cta', 'package'], package: 'string?' },
+  // A Services FAQ question expanded (not collapsed)
+  faq_open: { question: 'string' },
+  // The visitor moved a carousel; `index` is the 1-based target slide
+  carousel_navigate: { carousel: 'string', method: ['previous', 'next', 'dot', 'key'], index: 'number' },
+  // A link to a live site or demo, opened in a new tab
+  outbound_click: { url: 'string', project: 'string', location: ['gallery', 'live_preview', 'project'] },
+  // Progress through a contact funnel: a CONTACT_STEPS value or a wizard step id
+  contact_step: { form: ['contact', 'inquiry'], step: 'string' },
+  // Why a submission didn't go through: a validation or spam code
+  // (required, invalid_email, too_fast, ...), `rejected` by the form service,
+  // or `dropped` from the retry queue
+  contact_error: { form: ['contact', 'inquiry'], reason: 'string', field: 'string?' }
+};
+
+const checkProp = (spec, value) => {
+  if (Array.isArray(spec)) return spec.includes(value);
+  return typeof value === spec;
+};
+
+// Problems with an event, as readable strings; empty when it matches the catalog
+export const validateEvent = (event, props = {}) => {
+  const schema = EVENTS[event];
+  if (!schema) return [`unknown event "${event}"`];
+  const problems = Object.keys(props)
+    .filter((name) => !schema[name])
+    .map((name) => `${event}: unknown prop "${name}"`);
+  Object.entries(schema).forEach(([name, rawSpec]) => {
+    const optional = typeof rawSpec === 'string' && rawSpec.endsWith('?');
+    const spec = optional ? rawSpec.slice(0, -1) : rawSpec;
+    const value = props[name];
+    if (value === undefined) {
+      if (!optional) problems.push(`${event}: missing prop "${name}"`);
+    } else if (!checkProp(spec, value)) {
+      problems.push(`${event}: "${name}" should be ${Array.isArray(spec) ? spec.join(' | ') : `a ${spec}`}, got ${JSON.stringify(value)}`);
+    }
+  });
+  return problems;
+};
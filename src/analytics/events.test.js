@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import { EVENTS, validateEvent } from './events';
+
+const SRC = path.join(__dirname, '..');
+
+const sourceFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(file);
+    return /\.js$/.test(entry.name) && !/\.test\.js$/.test(entry.name) ? [file] : [];
+  });
+
+describe('validateEvent', () => {
+  it('accepts events that match the catalog', () => {
+    expect(validateEvent('carousel_navigate', { carousel: 'Projects', method: 'dot', index: 2 })).toEqual([]);
+    expect(validateEvent('inquiry_click', { location: 'services_cta' })).toEqual([]);
+    expect(validateEvent('contact_error', { form: 'inquiry', reason: 'required', field: 'package' })).toEqual([]);
+  });
+
+  it('reports unknown events and props', () => {
+    expect(validateEvent('newsletter_signup')).toEqual(['unknown event "newsletter_signup"']);
+    expect(validateEvent('faq_open', { question: 'hosting', answer: 'yes' })).toEqual([
+      'faq_open: unknown prop "answer"'
+    ]);
+  });
+
+  it('reports missing required props but not missing optional ones', () => {
+    expect(validateEvent('contact_step', { form: 'contact' })).toEqual(['contact_step: missing prop "step"']);
+    expect(validateEvent('contact_error', { form: 'contact', reason: 'too_fast' })).toEqual([]);
+  });
+
+  it('checks prop types and allowed values', () => {
+    expect(validateEvent('carousel_navigate', { carousel: 'Projects', method: 'swipe', index: '2' })).toEqual([
+      'carousel_navigate: "method" should be previous | next | dot | key, got "swipe"',
+      'carousel_navigate: "index" should be a number, got "2"'
+    ]);
+  });
+});
+
+describe('EVENTS', () => {
+  it('lists every event the components track', () => {
+    const tracked = new Set();
+    sourceFiles(SRC).forEach((file) => {
+      const code = fs.readFileSync(file, 'utf8');
+      for (const [, name] of code.matchAll(/\btrack\('([a-z_]+)'/g)) tracked.add(name);
+    });
+    expect(tracked.size).toBeGreaterThan(0);
+    expect([...tracked].filter((name) => !EVENTS[name])).toEqual([]);
+  });
+
+  it('is mirrored in the README', () => {
+    const readme = fs.readFileSync(path.join(SRC, '..', 'README.md'), 'utf8');
+    expect(Object.keys(EVENTS).filter((name) => !readme.includes(`| \`${name}\` |`))).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import analyticsConfig from './config';
+import { createAdapters } from './adapters';
+import { validateEvent } from './events';
+
+/*
+  The one place analytics providers are loaded and called.
+  - The adapters named in ./config.js are built once. Those that send data off
+    the device (needsConsent) are loaded by enableAnalytics(), which
+    AnalyticsTracker calls only once the visitor has consented, and receive
+    nothing before that.
+  - track(event, props) checks the event against the catalog in ./events.js
+    and sends it to every active adapter.
+*/
+
+const adapters = createAdapters(analyticsConfig);
+let granted = false;
+
+const active = () => adapters.filter((adapter) => granted || !adapter.needsConsent);
+
+// Load the consent-gated providers and count the page the visitor is on
+export const enableAnalytics = (page) => {
+  if (granted) return;
+  granted = true;
+  adapters
+    .filter((adapter) => adapter.needsConsent)
+    .forEach((adapter) => {
+      adapter.load();
+      if (page) adapter.pageview(page);
+    });
+};
+
+export const disableAnalytics = () => {
+  granted = false;
+  adapters.filter((adapter) => adapter.needsConsent).forEach((adapter) => adapter.disable());
+};
+
+export const trackPageview = (page) => active().forEach((adapter) => adapter.pageview(page));
+
+/**
+ * Send an analytics event listed in EVENTS (./events.js). Events that don't
+ * match the catalog are dropped, with a warning outside production.
+ * @param {keyof import('./events').EVENTS} event
+ * @param {Object<string, string | number>} [props]
+ */
+export const track = (event, props = {}) => {
+  const problems = validateEvent(event, props);
+  if (problems.length) {
+    if (process.env.NODE_ENV !== 'production') console.warn(`[analytics] ${problems.join('; ')}`);
+    return;
+  }
+  active().forEach((adapter) => adapter.event(event, props));
+};
+
+// The adapter instances in use, e.g. to read the console adapter's `events` in tests
+export const getAdapters = () => adapters;
+
+export { EVENTS, CONTACT_STEPS } from './events';
@@ -0,0 +1,83 @@
+import { disableAnalytics, enableAnalytics, getAdapters, track, trackPageview } from '.';
+
+/*
+  Two console adapters stand in for the real providers: the plain one runs
+  without consent, the other is marked needsConsent like GA4 and Plausible.
+  Both keep every call in their `events` array.
+*/
+jest.mock('./config', () => ({ __esModule: true, default: { providers: ['console'], console: { log: false } } }));
+jest.mock('./adapters', () => {
+  const actual = jest.requireActual('./adapters');
+  return {
+    createAdapters: (config) => [
+      ...actual.createAdapters(config),
+      { ...actual.createConsoleAdapter({ log: false }), name: 'gated', needsConsent: true, load: jest.fn(), disable: jest.fn() }
+    ]
+  };
+});
+
+const [local, gated] = getAdapters();
+const names = (adapter) => adapter.events.map((entry) => entry.name);
+
+beforeEach(() => {
+  disableAnalytics();
+  local.events.length = 0;
+  gated.events.length = 0;
+  gated.load.mockClear();
+  gated.disable.mockClear();
+});
+
+describe('consent', () => {
+  it('sends nothing to consent-gated adapters before consent', () => {
+    trackPageview('/services');
+    track('faq_open', { question: 'hosting' });
+    expect(names(local)).toEqual(['pageview', 'faq_open']);
+    expect(gated.events).toEqual([]);
+    expect(gated.load).not.toHaveBeenCalled();
+  });
+
+  it('loads them on consent and counts the current page', () => {
+    enableAnalytics('/services');
+    enableAnalytics('/services');
+    expect(gated.load).toHaveBeenCalledTimes(1);
+    expect(gated.events).toEqual([{ type: 'pageview', name: 'pageview', props: { page: '/services' } }]);
+
+    track('faq_open', { question: 'hosting' });
+    expect(names(gated)).toEqual(['pageview', 'faq_open']);
+  });
+
+  it('stops sending once consent is withdrawn', () => {
+    enableAnalytics();
+    disableAnalytics();
+    expect(gated.disable).toHaveBeenCalled();
+    track('view_work_click', { location: 'hero' });
+    expect(gated.events).toEqual([]);
+    expect(names(local)).toEqual(['view_work_click']);
+  });
+});
+
+describe('track', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it('sends events that match the catalog', () => {
+    track('inquiry_click', { location: 'package', package: 'simple-ecommerce' });
+    expect(local.events).toEqual([
+      { type: 'event', name: 'inquiry_click', props: { location: 'package', package: 'simple-ecommerce' } }
+    ]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('drops and warns about events that do not', () => {
+    track('newsletter_signup', {});
+    track('view_work_click', { location: 'footer' });
+    track('faq_open', { question: 'hosting', answer: 'yes' });
+    expect(local.events).toEqual([]);
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,169 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import './Accordion.css';
+import usePrefersReducedMotion from '../hooks/usePrefersReducedMotion';
+
+const DURATION = 250; // ms for the height animation
+
+/*
+  Accessible accordion (WAI-ARIA pattern: heading > button[aria-expanded] plus a
+  labelled region).
+  - `items` are rendered with `renderHeader(item)` and `renderPanel(item)`;
+    each needs a unique `id`. `multiple` lets several be open at once.
+  - Up/Down arrows move between headers, Home/End jump to the first/last.
+  - Opening an item puts `#<idPrefix>-<id>` in the URL (e.g. /services#faq-hosting),
+    and loading that URL opens and scrolls to it.
+  - Panels animate their height unless prefers-reduced-motion is set.
+  - `onToggle(id, open)` is called for every visitor-driven change.
+*/
+
+// Keeps a closing panel in the layout until its animation has run
+const AccordionPanel = ({ open, reducedMotion, id, labelledBy, className, children }) => {
+  const ref = useRef(null);
+  const [shown, setShown] = useState(open);
+  const openRef = useRef(open);
+  if (open && !shown) setShown(true);
+
+  useLayoutEffect(() => {
+    if (openRef.current === open) return undefined;
+    openRef.current = open;
+    const node = ref.current;
+    if (reducedMotion || !node || typeof node.animate !== 'function') {
+      if (!open) setShown(false);
+      return undefined;
+    }
+    const height = `${node.scrollHeight}px`;
+    const frames = open ? [{ height: '0px' }, { height }] : [{ height }, { height: '0px' }];
+    node.style.overflow = 'hidden';
+    const animation = node.animate(frames, { duration: DURATION, easing: 'ease-in-out' });
+    const done = () => {
+      node.style.overflow = '';
+      // A panel reopened mid-animation stays shown
+      if (!openRef.current) setShown(false);
+    };
+    animation.onfinish = done;
+    return () => {
+      animation.onfinish = null;
+      animation.cancel();
+      node.style.overflow = '';
+    };
+  }, [open, reducedMotion]);
+
+  return (
+    <div ref={ref} id={id} role="region" aria-labelledby={labelledBy} className="accordion-panel" hidden={!shown}>
+      <div className={className}>{children}</div>
+    </div>
+  );
+};
+
+const Accordion = ({
+  items,
+  renderHeader,
+  renderPanel,
+  idPrefix,
+  multiple = false,
+  defaultOpen = [],
+  headingLevel = 3,
+  onToggle,
+  className = 'accordion',
+  itemClassName = 'accordion-item',
+  buttonClassName = 'accordion-button',
+  panelClassName = 'accordion-body'
+}) => {
+  const [openIds, setOpenIds] = useState(defaultOpen);
+  const buttonsRef = useRef([]);
+  const writtenHashRef = useRef(null);
+  const reducedMotion = usePrefersReducedMotion();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const Heading = `h${headingLevel}`;
+
+  const domId = (id) => `${idPrefix}-${id}`;
+
+  const setHash = (hash) => {
+    writtenHashRef.current = hash;
+    navigate({ search: location.search, hash }, { replace: true, state: location.state });
+  };
+
+  // Props the hash effect reads without rerunning for them: a new `items`
+  // array on every render of the parent must not reopen the linked item
+  const latestRef = useRef({ items, multiple, reducedMotion });
+  useEffect(() => {
+    latestRef.current = { items, multiple, reducedMotion };
+  });
+
+  // Read the hash after mount (not in initial state) so prerendered markup matches
+  useEffect(() => {
+    if (location.hash === writtenHashRef.current) return;
+    const latest = latestRef.current;
+    const item = latest.items.find((entry) => `#${idPrefix}-${entry.id}` === location.hash);
+    if (!item) return;
+    setOpenIds((current) => (latest.multiple ? [...new Set([...current, item.id])] : [item.id]));
+    const node = document.getElementById(`${idPrefix}-${item.id}`);
+    if (node) node.scrollIntoView({ block: 'start', behavior: latest.reducedMotion ? 'auto' : 'smooth' });
+  }, [location.hash, idPrefix]);
+
+  const toggle = (id) => {
+    const open = !openIds.includes(id);
+    if (open) setOpenIds(multiple ? [...openIds, id] : [id]);
+    else setOpenIds(openIds.filter((openId) => openId !== id));
+
+    if (open) setHash(`#${domId(id)}`);
+    else if (location.hash === `#${domId(id)}`) setHash('');
+    if (onToggle) onToggle(id, open);
+  };
+
+  const handleKeyDown = (e, index) => {
+    const last = items.length - 1;
+    const targets = {
+      ArrowDown: index === last ? 0 : index + 1,
+      ArrowUp: index === 0 ? last : index - 1,
+      Home: 0,
+      End: last
+    };
+    if (targets[e.key] === undefined) return;
+    e.preventDefault();
+    buttonsRef.current[targets[e.key]].focus();
+  };
+
+  return (
+    <div className={className}>
+      {items.map((item, index) => {
+        const open = openIds.includes(item.id);
+        const buttonId = `${domId(item.id)}-button`;
+        const panelId = `${domId(item.id)}-panel`;
+        return (
+          <div key={item.id} id={domId(item.id)} className={`accordion-entry ${itemClassName} ${open ? 'open' : ''}`}>
+            <Heading className="accordion-heading">
+              <button
+                ref={(node) => {
+                  buttonsRef.current[index] = node;
+                }}
+                type="button"
+                id={buttonId}
+                className={buttonClassName}
+                aria-expanded={open}
+                aria-controls={panelId}
+                onClick={() => toggle(item.id)}
+                onKeyDown={(e) => handleKeyDown(e, index)}
+              >
+                {renderHeader(item)}
+              </button>
+            </Heading>
+            <AccordionPanel
+              open={open}
+              reducedMotion={reducedMotion}
+              id={panelId}
+              labelledBy={buttonId}
+              className={panelClassName}
+            >
+              {renderPanel(item)}
+            </AccordionPanel>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default Accordion;
@@ -0,0 +1,123 @@
+import React, { useEffect, useRef } from 'react';
+import { Link, Navigate, useParams, useSearchParams } from 'react-router-dom';
+import './Projects.css';
+import './Blog.css';
+import { formatPostDate, getPostPage, getTags } from '../content/blog';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+
+// Post index at /blog and per-tag listings at /blog/tag/:tag, paginated with ?page=
+const Blog = () => {
+  const { tag } = useParams();
+  const [searchParams] = useSearchParams();
+  const sectionRef = useRef(null);
+  const { locale, t } = useI18n();
+
+  const pageParam = searchParams.get('page');
+  const page = pageParam === null ? 1 : Number(pageParam);
+  const listing = getPostPage({ tag, page });
+  const tags = getTags();
+  const basePath = tag ? `/blog/tag/${tag}` : '/blog';
+  const tagExists = !tag || tags.some((item) => item.tag === tag);
+
+  usePageMeta({
+    title: tag ? t('meta.blog.tagTitle', { tag: `#${tag}` }) : t('meta.blog.title'),
+    description: tag ? t('meta.blog.tagDescription', { tag: `#${tag}` }) : t('meta.blog.description'),
+    path: listing && page > 1 ? `${basePath}?page=${page}` : basePath,
+    noindex: !tagExists
+  });
+
+  useEffect(() => {
+    const node = sectionRef.current; // capture once
+    if (!node) return;
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) entry.target.classList.add('visible');
+      });
+    }, { threshold: 0.1 });
+    observer.observe(node);
+    return () => {
+      observer.unobserve(node); // safe, stable reference
+    };
+  }, []);
+
+  // Out-of-range or malformed page numbers fall back to the first page
+  if (tagExists && !listing) return <Navigate to={basePath} replace />;
+
+  const pageLink = (number) => (number === 1 ? basePath : `${basePath}?page=${number}`);
+
+  return (
+    <section className="blog-section" id="blog" ref={sectionRef}>
+      <div className="container">
+        <h1 className="section-title text-center">{tag ? t('blog.tagTitle', { tag: `#${tag}` }) : t('blog.title')}</h1>
+
+        {!tagExists ? (
+          <div className="text-center">
+            <p>{t('blog.noTag', { tag: `#${tag}` })}</p>
+            <Link to="/blog" className="btn btn-outline-dark">{t('blog.backToAll')}</Link>
+          </div>
+        ) : (
+          <>
+            <nav className="blog-tags" aria-label={t('blog.tagsLabel')}>
+              <Link to="/blog" className={`filter-chip ${!tag ? 'active' : ''}`} aria-current={!tag ? 'page' : undefined}>
+                {t('blog.allTags')}
+              </Link>
+              {tags.map((item) => (
+                <Link
+                  key={item.tag}
+                  to={`/blog/tag/${item.tag}`}
+                  className={`filter-chip ${item.tag === tag ? 'active' : ''}`}
+                  aria-current={item.tag === tag ? 'page' : undefined}
+                >
+                  #{item.tag} <span className="tag-count">({item.count})</span>
+                </Link>
+              ))}
+            </nav>
+
+            {listing.posts.length === 0 ? (
+              <p className="text-center">{t('blog.empty')}</p>
+            ) : (
+              <ul className="post-list">
+                {listing.posts.map((post) => (
+                  <li key={post.slug} className={`post-card ${post.cover ? '' : 'no-cover'}`}>
+                    {post.cover && (
+                      <Link to={`/blog/${post.slug}`} className="post-card-cover" tabIndex={-1} aria-hidden="true">
+                        <img src={post.cover} alt="" loading="lazy" />
+                      </Link>
+                    )}
+                    <div className="post-card-body">
+                      <h2>
+                        <Link to={`/blog/${post.slug}`}>{post.title}</Link>
+                      </h2>
+                      <p className="post-meta">
+                        <time dateTime={post.date}>{formatPostDate(post.date, locale)}</time>
+                        {' · '}
+                        {t('blog.readingTime', { minutes: post.readingTime })}
+                        {post.draft && <span className="post-draft"> · {t('blog.draft')}</span>}
+                      </p>
+                      <p>{post.excerpt}</p>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {listing.pageCount > 1 && (
+              <nav className="blog-pagination" aria-label={t('blog.paginationLabel')}>
+                {listing.page > 1 ? (
+                  <Link to={pageLink(listing.page - 1)} rel="prev">&larr; {t('blog.newerPosts')}</Link>
+                ) : <span />}
+                <span>{t('blog.pageCount', { page: listing.page, total: listing.pageCount })}</span>
+                {listing.page < listing.pageCount ? (
+                  <Link to={pageLink(listing.page + 1)} rel="next">{t('blog.olderPosts')} &rarr;</Link>
+                ) : <span />}
+              </nav>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default Blog;
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import './ProjectDetail.css';
+import './Blog.css';
+import { formatPostDate, getAdjacentPosts, getPost } from '../content/blog';
+import usePageMeta from '../seo/usePageMeta';
+import { useI18n } from '../i18n/I18nProvider';
+
+const BlogPost = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const { locale, t } = useI18n();
+  const post = getPost(slug, locale);
+  const { newer, older } = getAdjacentPosts(slug);
+  const sectionRef = useRef(null);
+
+  usePageMeta(
+    post
+      ? { title: post.title, description: post.excerpt, image: post.cover, type: 'article' }
+      : { title: t('blog.notFoundTitle'), noindex: true }
+  );
+
+  useEffect(() => {
+    const node = sectionRef.current; // capture once
+    if (!node) return;
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) entry.target.classList.add('visible');
+      });
+    }, { threshold: 0.1 });
+    observer.observe(node);
+    return () => {
+      observer.unobserve(node); // safe, stable reference
+    };
+  }, []);
+
+  // Links inside the compiled Markdown are plain anchors; keep internal ones in
+  // the router. Their href already has the base path and locale prefix, so the
+  // router gets the in-app path the compile step kept in data-path.
+  const handleBodyClick = (e) => {
+    const anchor = e.target.closest('a[data-path]');
+    if (!anchor || anchor.target || e.defaultPrevented || e.button !== 0) return;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(anchor.dataset.path);
+  };
+
+  return (
+    <section className="blog-section" id="blog-post" ref={sectionRef}>
+      <div className="container">
+        {!post ? (
+          <div className="text-center">
+            <h1 className="section-title">{t('blog.notFoundTitle')}</h1>
+            <p>{t('blog.notFoundText')}</p>
+            <Link to="/blog" className="btn btn-outline-dark">{t('blog.backToAll')}</Link>
+          </div>
+        ) : (
+          <article className="post">
+            <Link to="/blog" className="case-study-back">&larr; {t('blog.allPosts')}</Link>
+            <h1 className="section-title">{post.title}</h1>
+            <p className="post-meta">
+              <time dateTime={post.date}>{formatPostDate(post.date, locale)}</time>
+              {' · '}
+              {t('blog.readingTime', { minutes: post.readingTime })}
+            </p>
+            <ul className="post-tags">
+              {post.tags.map((tag) => (
+                <li key={tag}><Link to={`/blog/tag/${tag}`}>#{tag}</Link></li>
+              ))}
+            </ul>
+
+            {post.cover && (
+              <div className="post-cover">
+                <img src={post.cover} alt="" />
+              </div>
+            )}
+
+            {/* Compiled at build time from the repo's own Markdown, with raw HTML escaped */}
+            <div className="post-body" onClick={handleBodyClick} dangerouslySetInnerHTML={{ __html: post.html }} />
+
+            <nav className="case-study-pager" aria-label={t('blog.morePosts')}>
+              {newer ? (
+                <Link to={`/blog/${newer.slug}`} className="pager-link prev" rel="prev">
+                  <span className="pager-label">&larr; {t('blog.newerPost')}</span>
+                  <span className="pager-title">{newer.title}</span>
+                </Link>
+              ) : <span />}
+              {older ? (
+                <Link to={`/blog/${older.slug}`} className="pager-link next" rel="next">
+                  <span className="pager-label">{t('blog.olderPost')} &rarr;</span>
+                  <span className="pager-title">{older.title}</span>
+                </Link>
+              ) : <span />}
+            </nav>
+          </article>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default BlogPost;
@@ -0,0 +1,254 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import './Carousel.css';
+import usePrefersReducedMotion from '../hooks/usePrefersReducedMotion';
+import { useI18n } from '../i18n/I18nProvider';
+import { track } from '../analytics';
+
+const DRAG_THRESHOLD = 5; // px of mouse travel before a press counts as a drag, not a click
+
+/*
+  Horizontally scrolling, snap-aligned carousel.
+  - `items` are rendered with `renderItem(item, index)`; each needs a unique `id`.
+  - `label` names the carousel and `itemLabel` one of its items ("photo"), both
+    already in the page's language; `label` is also what analytics reports.
+  - `autoplay` is an interval in ms. It pauses on hover/focus, can be paused by
+    the visitor and never runs when prefers-reduced-motion is set.
+  - Touch scrolling is native; mouse users can also drag the track.
+*/
+const Carousel = ({ items, renderItem, label, itemLabel, autoplay = 0, className = '' }) => {
+  const { t } = useI18n();
+  const itemName = itemLabel || t('carousel.item');
+  const trackRef = useRef(null);
+  const dragRef = useRef(null);
+  const [current, setCurrent] = useState(0);
+  const [atStart, setAtStart] = useState(true);
+  const [atEnd, setAtEnd] = useState(false);
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+  const [userPaused, setUserPaused] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const reducedMotion = usePrefersReducedMotion();
+
+  const autoplayEnabled = autoplay > 0 && !reducedMotion && items.length > 1;
+  const playing = autoplayEnabled && !userPaused && !hovered && !focused;
+
+  const scrollToIndex = useCallback((index) => {
+    const trackEl = trackRef.current;
+    const slide = trackEl && trackEl.children[index];
+    if (!slide) return;
+    trackEl.scrollTo({
+      left: slide.offsetLeft - trackEl.offsetLeft,
+      behavior: reducedMotion ? 'auto' : 'smooth'
+    });
+  }, [reducedMotion]);
+
+  // Derive the current slide and end states from the scroll position
+  const syncFromScroll = useCallback(() => {
+    const trackEl = trackRef.current;
+    if (!trackEl) return;
+    const maxScroll = trackEl.scrollWidth - trackEl.clientWidth;
+    const start = trackEl.scrollLeft <= 1;
+    const end = trackEl.scrollLeft >= maxScroll - 1;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    Array.from(trackEl.children).forEach((slide, index) => {
+      const distance = Math.abs(slide.offsetLeft - trackEl.offsetLeft - trackEl.scrollLeft);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+    setAtStart(start);
+    setAtEnd(end);
+    // When every slide fits (start and end at once) the first one is current
+    setCurrent(end && !start ? trackEl.children.length - 1 : nearest);
+  }, []);
+
+  useEffect(() => {
+    const trackEl = trackRef.current;
+    if (!trackEl) return undefined;
+    let frame = null;
+    const onScroll = () => {
+      if (frame) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        syncFromScroll();
+      });
+    };
+    syncFromScroll();
+    trackEl.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll);
+    return () => {
+      trackEl.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', onScroll);
+      if (frame) window.cancelAnimationFrame(frame);
+    };
+  }, [syncFromScroll, items.length]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = window.setInterval(() => {
+      scrollToIndex(atEnd ? 0 : current + 1);
+    }, autoplay);
+    return () => window.clearInterval(timer);
+  }, [playing, autoplay, atEnd, current, scrollToIndex]);
+
+  // Visitor-driven moves are reported; autoplay and drag-snapping aren't
+  const navigateTo = (index, method) => {
+    track('carousel_navigate', { carousel: label, method, index: index + 1 });
+    scrollToIndex(index);
+  };
+
+  const goPrev = (method = 'previous') => navigateTo(Math.max(current - 1, 0), method);
+  const goNext = (method = 'next') => navigateTo(Math.min(current + 1, items.length - 1), method);
+
+  const handleKeyDown = (e) => {
+    const keys = {
+      ArrowLeft: () => goPrev('key'),
+      ArrowRight: () => goNext('key'),
+      Home: () => navigateTo(0, 'key'),
+      End: () => navigateTo(items.length - 1, 'key')
+    };
+    if (keys[e.key]) {
+      e.preventDefault();
+      keys[e.key]();
+    }
+  };
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setFocused(false);
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType !== 'mouse' || e.button !== 0) return;
+    dragRef.current = { x: e.clientX, scrollLeft: trackRef.current.scrollLeft, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    if (!drag.moved && Math.abs(dx) < DRAG_THRESHOLD) return;
+    if (!drag.moved) {
+      drag.moved = true;
+      setDragging(true);
+    }
+    trackRef.current.scrollLeft = drag.scrollLeft - dx;
+  };
+
+  const endDrag = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.moved) {
+      setDragging(false);
+      // Let the snap take over again from wherever the drag was released
+      scrollToIndex(current);
+    }
+    // Keep the record until the click that follows this pointerup has been checked
+    window.setTimeout(() => {
+      dragRef.current = null;
+    }, 0);
+  };
+
+  // A drag should not also open the link that happens to be under the pointer
+  const handleClickCapture = (e) => {
+    if (dragRef.current && dragRef.current.moved) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  };
+
+  return (
+    <div
+      className={`carousel ${className}`}
+      role="region"
+      aria-roledescription="carousel"
+      aria-label={label}
+      onKeyDown={handleKeyDown}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setFocused(true)}
+      onBlur={handleBlur}
+    >
+      <button
+        type="button"
+        className="carousel-control prev"
+        aria-label={t('carousel.previous', { item: itemName })}
+        onClick={() => goPrev()}
+        disabled={atStart}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+          <path d="M15 18l-6-6 6-6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
+        </svg>
+      </button>
+      <div
+        className={`carousel-track ${dragging ? 'dragging' : ''}`}
+        ref={trackRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerLeave={endDrag}
+        onClickCapture={handleClickCapture}
+        onDragStart={(e) => e.preventDefault()}
+      >
+        {items.map((item, index) => (
+          <div
+            key={item.id}
+            className="carousel-item"
+            role="group"
+            aria-roledescription="slide"
+            aria-label={t('carousel.slide', { index: index + 1, total: items.length })}
+          >
+            {renderItem(item, index)}
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        className="carousel-control next"
+        aria-label={t('carousel.next', { item: itemName })}
+        onClick={() => goNext()}
+        disabled={atEnd}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+          <path d="M9 6l6 6-6 6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
+        </svg>
+      </button>
+
+      <div className="carousel-footer">
+        {autoplayEnabled && (
+          <button
+            type="button"
+            className="carousel-play"
+            onClick={() => setUserPaused(!userPaused)}
+          >
+            {userPaused ? t('carousel.play') : t('carousel.pause')}
+          </button>
+        )}
+        <div className="carousel-dots">
+          {items.map((item, index) => (
+            <button
+              key={item.id}
+              type="button"
+              className={`carousel-dot ${index === current ? 'active' : ''}`}
+              aria-label={t('carousel.goTo', { item: itemName, index: index + 1 })}
+              aria-current={index === current ? 'true' : undefined}
+              onClick={() => navigateTo(index, 'dot')}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Announced politely on manual navigation; silent while autoplay is running */}
+      <p className="visually-hidden" aria-live={playing ? 'off' : 'polite'} aria-atomic="true">
+        {t('carousel.status', {
+          item: `${itemName.charAt(0).toUpperCase()}${itemName.slice(1)}`,
+          index: current + 1,
+          total: items.length
+        })}
+      </p>
+    </div>
+  );
+};
+
+export default Carousel;
@@ -0,0 +1,106 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useConsent from '../hooks/useConsent';
+import { CONSENT_CATEGORIES, acceptAll, rejectAll, setConsent, subscribe } from '../analytics/consent';
+import { useI18n } from '../i18n/I18nProvider';
+import './ConsentBanner.css';
+
+// Asks for analytics consent until the visitor decides (Do Not Track counts as
+// a decision), and again whenever the footer's "Privacy settings" is used
+const ConsentBanner = () => {
+  const consent = useConsent();
+  const { t } = useI18n();
+  const [reopened, setReopened] = useState(false);
+  const [customizing, setCustomizing] = useState(false);
+  const [grants, setGrants] = useState({});
+  const bannerRef = useRef(null);
+
+  useEffect(
+    () =>
+      subscribe((event) => {
+        if (event.type !== 'open') return;
+        setReopened(true);
+        setCustomizing(true);
+      }),
+    []
+  );
+
+  // Start the checkboxes from the current consent each time the panel opens
+  useEffect(() => {
+    if (customizing && consent) setGrants(Object.fromEntries(CONSENT_CATEGORIES.map((id) => [id, consent[id]])));
+  }, [customizing, consent]);
+
+  useEffect(() => {
+    if (reopened && bannerRef.current) bannerRef.current.focus();
+  }, [reopened]);
+
+  // Consent is unknown until read after mount, so prerendered pages (a server
+  // render, without effects) leave the banner out too
+  if (!consent || (consent.decided && !reopened)) return null;
+
+  const close = (decide) => {
+    decide();
+    setReopened(false);
+    setCustomizing(false);
+  };
+
+  return (
+    <section
+      className="consent-banner"
+      aria-labelledby="consent-title"
+      tabIndex={-1}
+      ref={bannerRef}
+    >
+      <div className="consent-content">
+        <h2 id="consent-title" className="consent-title">{t('consent.title')}</h2>
+        <p className="consent-text">{t('consent.text')}</p>
+        {consent.source === 'dnt' && <p className="consent-text">{t('consent.dnt')}</p>}
+
+        {customizing && (
+          <fieldset className="consent-options">
+            <legend className="visually-hidden">{t('consent.customize')}</legend>
+            <label className="consent-option">
+              <input type="checkbox" checked disabled />
+              <span>
+                <strong>{t('consent.category', { category: 'necessary' })}</strong>
+                <span className="consent-option-text">{t('consent.categoryText', { category: 'necessary' })}</span>
+              </span>
+            </label>
+            {CONSENT_CATEGORIES.map((id) => (
+              <label className="consent-option" key={id}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(grants[id])}
+                  onChange={(e) => setGrants((current) => ({ ...current, [id]: e.target.checked }))}
+                />
+                <span>
+                  <strong>{t('consent.category', { category: id })}</strong>
+                  <span className="consent-option-text">{t('consent.categoryText', { category: id })}</span>
+                </span>
+              </label>
+            ))}
+          </fieldset>
+        )}
+      </div>
+
+      <div className="consent-actions">
+        <button type="button" className="consent-button" onClick={() => close(rejectAll)}>
+          {t('consent.reject')}
+        </button>
+        {customizing ? (
+          <button type="button" className="consent-button" onClick={() => close(() => setConsent(grants))}>
+            {t('consent.save')}
+          </button>
+        ) : (
+          <button type="button" className="consent-button" onClick={() => setCustomizing(true)}>
+            {t('consent.customize')}
+          </button>
+        )}
+        <button type="button" className="consent-button consent-button-primary" onClick={() => close(acceptAll)}>
+          {t('consent.accept')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default ConsentBanner;
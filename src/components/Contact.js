@@ -2,21 +2,49 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './Contact.css';
 import footerWhale from '../assets/footer.png';
+import { CONTACT_FIELDS, LIMITS, validateField, validateContact, checkSpam } from '../contact/validation';
+import { NETWORK_ERROR, REJECTED, SUCCESS, VALIDATION_ERROR } from '../contact/transports';
+import transport from '../contact/transport';
+import { createSubmissionId, dequeue, enqueue, subscribe } from '../contact/queue';
+import { track } from '../analytics';
+import { openConsentSettings } from '../analytics/consent';
+import { useI18n } from '../i18n/I18nProvider';
+import { getProfile, getSocials } from '../content';
+import usePageMeta from '../seo/usePageMeta';
+
+const publicUrl = process.env.PUBLIC_URL || '';
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  message: '',
+  /* Honeypot field: invisible to real users, present for bots that fill all inputs.
+     Use a non-common name to reduce autofill by browsers. */
+  hp_field: ''
+};
 
-const Contact = () => {
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    message: '',
-    /* Honeypot field: invisible to real users, present for bots that fill all inputs.
-       Use a non-common name to reduce autofill by browsers. */
-    hp_field: ''
-  });
+// Also the footer of other pages; `page` is set when it is the /contact page itself
+const Contact = ({ page = false }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
   // Record when the form was first shown to the user to detect too-fast submissions
   const formStartRef = useRef(Date.now());
+  // Whether the funnel's "start" step was reported for the message being written
+  const startTrackedRef = useRef(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Inline errors: field -> { code, message }; `form` holds errors not tied to one field
+  const [errors, setErrors] = useState({});
+  // One id per message, reused across retries until it is sent so the queue
+  // (and the provider) can deduplicate
+  const submissionIdRef = useRef(null);
+  // Submission waiting in the offline/retry queue: { id, status: 'queued' | 'sent' }
+  const [queued, setQueued] = useState(null);
   const contactRef = useRef(null);
   const navigate = useNavigate();
+  const { t, has } = useI18n();
+  const profile = getProfile();
+  const socials = getSocials();
+
+  usePageMeta(page ? { title: t('meta.contact.title'), description: t('meta.contact.description') } : null);
 
   useEffect(() => {
     const node = contactRef.current; // capture once
@@ -40,68 +68,61 @@ const Contact = () => {
     };
   }, []);
 
-  const handleChange = (e) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value
+  useEffect(() => {
+    if (!queued) return undefined;
+    return subscribe((event) => {
+      if (event.id !== queued.id) return;
+      if (event.type === 'sent') {
+        setQueued({ id: queued.id, status: 'sent' });
+        setFormData(EMPTY_FORM);
+        submissionIdRef.current = null;
+        formStartRef.current = Date.now();
+        startTrackedRef.current = false;
+      } else if (event.type === 'dropped') {
+        track('contact_error', { form: 'contact', reason: 'dropped' });
+        setQueued(null);
+        setErrors({
+          form: { code: 'rejected', message: t('contact.queuedDropped') }
+        });
+      }
     });
-  };
-
-  /* -------------------------
-     Sanitization & Validation Helpers
-     - Lightweight utilities to strip dangerous input and enforce limits.
-     - Keep logic on client for UX and early rejection; Formspree will still
-       perform its own server-side checks. Client-side checks are NOT a
-       substitute for server-side validation, but for this setup (no custom
-       backend) they provide defense-in-depth and better UX.
-     ------------------------- */
-  // Remove HTML tags conservatively
-  const stripTags = (s) => {
-    if (!s) return '';
-    return String(s).replace(/<[^>]*>/g, '');
-  };
+  }, [queued, t]);
 
-  // Remove javascript: URIs and other suspicious patterns from text
-  const removeDangerousUris = (s) => {
-    if (!s) return '';
-    return s.replace(/javascript\s*:/gi, '').replace(/(?:on\w+)\s*=\s*['"][^'"]*['"]/gi, '');
+  // Validation errors carry English messages; show the translation for known codes.
+  // Anything else (e.g. a message from the form service) is shown as received.
+  const errorText = (field, problem) => {
+    const key = `contact.error.${problem.code}`;
+    return has(key) ? t(key, { field, max: LIMITS[field], min: LIMITS.minMessage }) : problem.message;
   };
 
-  // Encode HTML entities for characters that might be interpreted by downstream viewers
-  const encodeHtmlEntities = (s) => {
-    if (!s) return '';
-    return String(s)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;');
-  };
-
-  // Basic email validation (not exhaustive RFC check, good UX/gate)
-  const isValidEmail = (s) => {
-    if (!s) return false;
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+  const setFieldError = (field, problem) => {
+    setErrors((prev) => {
+      const next = { ...prev };
+      if (problem) next[field] = problem;
+      else delete next[field];
+      return next;
+    });
   };
 
-  // Name allowlist: letters, spaces, basic punctuation. Reject very long names.
-  const isValidName = (s) => {
-    if (!s) return false;
-    // allow common accented latin letters, space, hyphen, apostrophe, dot
-    return /^[A-Za-zÀ-ÖØ-öø-ÿ'’.\-\s]{1,100}$/.test(s.trim());
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    if (!startTrackedRef.current) {
+      startTrackedRef.current = true;
+      track('contact_step', { form: 'contact', step: 'start' });
+    }
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+    // Once a field has been flagged, re-check it as the visitor fixes it
+    if (errors[name]) setFieldError(name, validateField(name, value));
   };
 
-  // Normalize and sanitize message before sending
-  const sanitizeMessage = (s, maxLen = 2000) => {
-    if (!s) return '';
-    let out = String(s);
-    out = stripTags(out); // remove any HTML tags
-    out = removeDangerousUris(out); // remove javascript: and inline event handlers
-    out = out.replace(/\s+/g, ' ').trim(); // collapse whitespace
-    if (out.length > maxLen) out = out.slice(0, maxLen);
-    // encode entities to avoid downstream render as HTML
-    out = encodeHtmlEntities(out);
-    return out;
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+    // Don't nag about empty fields the visitor merely tabbed through
+    if (!value) return;
+    setFieldError(name, validateField(name, value));
   };
 
   const handleSubmit = async (e) => {
@@ -109,161 +130,57 @@ const Contact = () => {
     setIsSubmitting(true);
 
     // === Input validation & sanitization ===
-    // - Enforce length limits to prevent abuse/very large payloads
-    // - Apply allowlist checks where appropriate (name/email)
-    // - Sanitize message thoroughly to avoid HTML/JS execution downstream
-    const MAX_MESSAGE = 2000;
-    const MAX_NAME = 100;
-    const MAX_EMAIL = 254;
-
-    const rawName = formData.name || '';
-    const rawEmail = formData.email || '';
-    const rawMessage = formData.message || '';
-
-    // Validate name
-    if (rawName.length === 0 || rawName.length > MAX_NAME || !isValidName(rawName)) {
-      alert('Please enter a valid name (letters, spaces, and basic punctuation only).');
-      setIsSubmitting(false);
-      return;
-    }
-
-    // Validate email
-    if (rawEmail.length === 0 || rawEmail.length > MAX_EMAIL || !isValidEmail(rawEmail)) {
-      alert('Please enter a valid email address.');
-      setIsSubmitting(false);
-      return;
-    }
-
-    // Sanitize and normalize message text
-    const safeMessage = sanitizeMessage(rawMessage, MAX_MESSAGE);
-
-    const payload = {
-      // send safe, normalized values
-      name: encodeHtmlEntities(rawName.trim()).slice(0, MAX_NAME),
-      email: rawEmail.trim().slice(0, MAX_EMAIL),
-      message: safeMessage,
-      hp_field: (formData.hp_field || '').trim()
-    };
-
-    // Note: we encode the `name` with entities to avoid any angle-bracket issues
-    //       when messages are viewed in an email client or admin console.
-
-    // === Anti-spam checks (client-side) ===
-    // 1) Honeypot: if filled, treat as bot. It's invisible to humans.
-    if (payload.hp_field) {
-      // Friendly message for humans, but we don't submit to the service.
-      alert('Submission blocked: detected as spam.');
-      setIsSubmitting(false);
-      return;
-    }
-
-    // 2) Time-based validation: block submissions that happen too quickly.
-    //    Many bots submit instantly; humans need a few seconds to type.
-    const now = Date.now();
-    const elapsedSeconds = (now - (formStartRef.current || now)) / 1000;
-    const minSeconds = 5; // configurable threshold
-    if (elapsedSeconds < minSeconds) {
-      alert('Please take a moment to write your message before submitting.');
+    const validation = validateContact(formData);
+    if (!validation.valid) {
+      Object.entries(validation.errors).forEach(([field, problem]) =>
+        track('contact_error', { form: 'contact', reason: problem.code, field })
+      );
+      setErrors(validation.errors);
       setIsSubmitting(false);
+      const firstInvalid = CONTACT_FIELDS.find((field) => validation.errors[field]);
+      e.target.elements[firstInvalid].focus();
       return;
     }
 
-    // 3) Basic heuristics: minimum message length and link-only detection
-    // Note: payload.message here is encoded (HTML entities), so check length on decoded text.
-    const decodedMsg = (payload.message || '').replace(/&lt;|&gt;|&amp;|&quot;|&#39;/g, '');
-    const minMessageLength = 15; // humans usually write at least this many chars
-    if (decodedMsg.length < minMessageLength) {
-      alert('Please provide a bit more detail in your message (at least 15 characters).');
+    const spam = checkSpam({ honeypot: formData.hp_field, startedAt: formStartRef.current });
+    if (spam) {
+      track('contact_error', { form: 'contact', reason: spam.code });
+      setErrors({ form: spam });
       setIsSubmitting(false);
       return;
     }
 
-    // Link-only detection: if message contains URLs but almost no other content,
-    // treat as spam. This is conservative to avoid blocking normal messages.
-    const urlRegex = /https?:\/\/[\w\-/?&.=#%]+|www\.[\w\-/?&.=#%]+/gi;
-    const urls = decodedMsg.match(urlRegex) || [];
-    if (urls.length > 0) {
-      // count non-url characters
-      const stripped = decodedMsg.replace(urlRegex, '').replace(/\s+/g, '');
-      if (stripped.length < 10) {
-        alert('Please include some context in your message in addition to links.');
-        setIsSubmitting(false);
-        return;
-      }
-    }
-
-    try {
-      const form = e.target;
-      // Send JSON to Formspree; Formspree also accepts form-encoded data.
-      // We include only sanitized fields.
-      const response = await fetch(form.action, {
-        method: form.method || 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-      });
-
-      // Formspree returns 200/201 for success, 422 for validation errors
-      if (response.ok) {
-        try {
-          navigate('/thank-you');
-        } catch (navErr) {
-          window.location.href = '/thank-you';
-        }
-        return;
-      }
-
-      // if JSON submit failed, attempt form-encoded / FormData fallback (some endpoints expect form posts)
-      // This helps when the API rejects application/json but accepts form submissions.
-      try {
-        const formDataFallback = new FormData();
-        formDataFallback.append('name', payload.name);
-        formDataFallback.append('email', payload.email);
-        formDataFallback.append('message', payload.message);
-
-        const fallbackResp = await fetch(form.action, {
-          method: form.method || 'POST',
-          body: formDataFallback,
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-
-        if (fallbackResp.ok) {
-          try {
-            navigate('/thank-you');
-          } catch (navErr) {
-            window.location.href = '/thank-you';
-          }
-          return;
-        }
-
-        // parse fallback response details if available
-        let fbErr = `Submission failed (status ${fallbackResp.status})`;
-        try {
-          const data = await fallbackResp.json();
-          if (data && data.errors) fbErr = data.errors.map((x) => x.message || x).join(', ');
-        } catch (_) {}
-        throw new Error(fbErr);
-      } catch (fallbackError) {
-        let errText = 'Form submission failed';
-        try {
-          const data = await response.json();
-          if (data && data.errors) {
-            errText = data.errors.map((x) => x.message || x).join(', ');
-          } else if (data && data.type) {
-            errText = data.type;
-          }
-        } catch (_) {}
-        throw new Error(errText || `Submission failed (status ${response.status})`);
-      }
-    } catch (error) {
-      console.error('Error submitting form:', error);
-      alert(error.message || 'There was an error sending your message. Please try again.');
-    } finally {
-      setIsSubmitting(false);
+    setErrors({});
+    setQueued(null);
+    if (!submissionIdRef.current) submissionIdRef.current = createSubmissionId();
+    const payload = { ...validation.payload, submissionId: submissionIdRef.current };
+
+    track('contact_step', { form: 'contact', step: 'submit' });
+    // The configured transport (see src/contact/config.js) sends only sanitized fields.
+    // Offline visitors skip straight to the queue.
+    const result = navigator.onLine
+      ? await transport.send(payload)
+      : { status: NETWORK_ERROR };
+    setIsSubmitting(false);
+
+    if (result.status === NETWORK_ERROR) {
+      // Keep the message instead of losing it: the queue retries it in the background.
+      // The form keeps it too, with the same id, until the queue reports it sent.
+      enqueue(payload);
+      track('contact_step', { form: 'contact', step: 'queued' });
+      setQueued({ id: payload.submissionId, status: 'queued' });
+    } else if (result.status === SUCCESS) {
+      // A resubmitted message may still be waiting in the queue
+      dequeue(payload.submissionId);
+      track('contact_step', { form: 'contact', step: 'sent' });
+      navigate('/thank-you');
+    } else if (result.status === VALIDATION_ERROR) {
+      track('contact_error', { form: 'contact', reason: 'rejected' });
+      // Field problems show inline; the summary explains why nothing was sent
+      setErrors({ form: { code: 'rejected', message: result.message }, ...result.errors });
+    } else if (result.status === REJECTED) {
+      track('contact_error', { form: 'contact', reason: 'rejected' });
+      setErrors({ form: { code: 'refused', message: result.message } });
     }
   };
 
@@ -277,55 +194,42 @@ const Contact = () => {
   return (
     <footer className="contact-section" id="contact" ref={contactRef}>
       <div className="container">
-        <h4 className="mt-5">Contact Me</h4>
-        <p className="contact-email">Email: allysakhaer@gmail.com</p>
+        <h4 className="mt-5">{t('contact.title')}</h4>
+        <p className="contact-email">{t('contact.email', { email: profile.email })}</p>
+        <a className="contact-card-link" href={`${publicUrl}/contact.vcf`} download>
+          <i className="fa fa-address-card-o" aria-hidden="true"></i> {t('contact.saveCard')}
+        </a>
         
-        <p className="socials-label">Socials:</p>
+        <p className="socials-label">{t('contact.socials')}</p>
         <div className="social-links">
-          <a 
-            href="https://www.facebook.com/lyskhaer" 
-            target="_blank" 
-            rel="noopener noreferrer"
-            className="social-link"
-            aria-label="Facebook"
-          >
-            <i className="fa fa-facebook"></i>
-          </a>
-          <a 
-            href="https://linkedin.com/in/allysarepeso" 
-            target="_blank" 
-            rel="noopener noreferrer"
-            className="social-link"
-            aria-label="LinkedIn"
-          >
-            <i className="fa fa-linkedin-square"></i>
-          </a>
-          <a 
-            href="https://github.com/lyskh" 
-            target="_blank" 
-            rel="noopener noreferrer"
-            className="social-link"
-            aria-label="GitHub"
-          >
-            <i className="fa fa-github"></i>
-          </a>
+          {socials.map((social) => (
+            <a
+              key={social.id}
+              href={social.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="social-link"
+              aria-label={social.label}
+            >
+              <i className={`fa ${social.icon}`}></i>
+            </a>
+          ))}
         </div>
 
         <h6 className="mb-3 connect-message">
-          Let's connect—I'd love to help bring value to your team!
+          {t('contact.connect')}
         </h6>
 
         <form 
           className="contact-form"
-          action="https://formspree.io/f/mblganbk"
-          method="POST"
           onSubmit={handleSubmit}
+          noValidate
         >
           {/* Honeypot field (invisible to sighted users).
               - Not required, named `hp_field` to avoid browser autofill.
               - `aria-hidden` + `tabIndex` prevent assistive tech or keyboard focus.
               - CSS `.visually-hidden` keeps element out of layout without using display:none. */}
-          <label htmlFor="hp_field" className="visually-hidden" aria-hidden="true">Leave this field empty</label>
+          <label htmlFor="hp_field" className="visually-hidden" aria-hidden="true">{t('contact.honeypot')}</label>
           <input
             type="text"
             id="hp_field"
@@ -337,59 +241,90 @@ const Contact = () => {
             aria-hidden="true"
             className="visually-hidden"
           />
-          <label htmlFor="name">Your Name:</label>
+          <label htmlFor="name">{t('contact.nameLabel')}</label>
           <input
             type="text"
             id="name"
             name="name"
-            placeholder="Enter your name"
+            placeholder={t('contact.namePlaceholder')}
             value={formData.name}
             onChange={handleChange}
+            onBlur={handleBlur}
+            maxLength={LIMITS.name}
+            aria-invalid={Boolean(errors.name)}
+            aria-describedby={errors.name ? 'name-error' : undefined}
             required
           />
+          {errors.name && <p id="name-error" className="field-error">{errorText('name', errors.name)}</p>}
 
-          <label htmlFor="email">Your Email:</label>
+          <label htmlFor="email">{t('contact.emailLabel')}</label>
           <input
             type="email"
             id="email"
             name="email"
-            placeholder="Enter your email"
+            placeholder={t('contact.emailPlaceholder')}
             value={formData.email}
             onChange={handleChange}
+            onBlur={handleBlur}
+            maxLength={LIMITS.email}
+            aria-invalid={Boolean(errors.email)}
+            aria-describedby={errors.email ? 'email-error' : undefined}
             required
           />
+          {errors.email && <p id="email-error" className="field-error">{errorText('email', errors.email)}</p>}
 
-          <label htmlFor="message">Your Message:</label>
+          <label htmlFor="message">{t('contact.messageLabel')}</label>
           <textarea
             id="message"
             name="message"
-            placeholder="Write your message here..."
+            placeholder={t('contact.messagePlaceholder')}
             rows="4"
             value={formData.message}
             onChange={handleChange}
+            onBlur={handleBlur}
+            maxLength={LIMITS.message}
+            aria-invalid={Boolean(errors.message)}
+            aria-describedby={errors.message ? 'message-error message-counter' : 'message-counter'}
             required
           ></textarea>
+          <p
+            id="message-counter"
+            className={`char-counter ${formData.message.length >= LIMITS.message * 0.9 ? 'near-limit' : ''}`}
+          >
+            {t('contact.counter', { count: formData.message.length, max: LIMITS.message })}
+          </p>
+          {errors.message && <p id="message-error" className="field-error">{errorText('message', errors.message)}</p>}
 
           {/* _captcha and _next removed: we handle redirect client-side and avoid server-side redirect conflicts on Netlify SPA */}
 
+          {errors.form && <p className="form-error" role="alert">{errorText('form', errors.form)}</p>}
+          {queued && (
+            <p className="form-status" role="status">
+              {queued.status === 'queued'
+                ? t('contact.queued')
+                : t('contact.queuedSent')}
+            </p>
+          )}
+
           <button type="submit" disabled={isSubmitting}>
-            {isSubmitting ? 'Sending...' : 'Send Message'}
+            {isSubmitting ? t('contact.sending') : t('contact.submit')}
           </button>
         </form>
 
         <div className="footer-line mt-4 mb-4">
-          <img src={footerWhale} alt="Whale" className="footer-image" />
-          <p className="footer-quote">
-            "Character may be manifested in the great moments, but it is made in the small ones." 
-            - Phillips Brooks
-          </p>
+          <img src={footerWhale} alt={t('contact.whaleAlt')} className="footer-image" />
+          <p className="footer-quote">{t('contact.quote')}</p>
         </div>
         <hr />
 
-        <p className="copyright mt-5">&copy; 2025 Allysa. All Rights Reserved.</p>
+        <p className="copyright mt-5">{t('contact.copyright', { year: 2025 })}</p>
+
+        <button type="button" className="consent-link" onClick={openConsentSettings}>
+          {t('consent.settings')}
+        </button>
 
         <button onClick={scrollToTop} className="btn btn-outline-light mt-3">
-          Back to Top
+          {t('contact.backToTop')}
         </button>
       </div>
     </footer>
@@ -0,0 +1,25 @@
+import { useEffect, useLayoutEffect } from 'react';
+import { matchRoutes, useLocation } from 'react-router-dom';
+import { setErrorRoute, startErrorReporting } from '../errors';
+import { useI18n } from '../i18n/I18nProvider';
+import routeTable from '../routes.json';
+
+// Reports uncaught errors for as long as the app is open, tagged with the current route
+const ErrorReporter = () => {
+  const { pathname } = useLocation();
+  const { locale } = useI18n();
+
+  useEffect(() => startErrorReporting(), []);
+
+  // A layout effect, so the route is set before error boundaries further down
+  // the tree report what they caught in the same commit
+  useLayoutEffect(() => {
+    const matches = matchRoutes(routeTable.routes, pathname) || [];
+    const match = matches[matches.length - 1];
+    setErrorRoute({ id: match ? match.route.id : null, pathname, locale });
+  }, [pathname, locale]);
+
+  return null;
+};
+
+export default ErrorReporter;
@@ -1,25 +1,26 @@
 import React, { useEffect, useRef } from 'react';
+import { Link, Navigate, useNavigate, useParams } from 'react-router-dom';
 import './Gallery.css';
 import lineDivider from '../assets/line.png';
-import photo1 from '../assets/1.jpg';
-import photo2 from '../assets/2.jpg';
-import photo3 from '../assets/3.jpg';
-import photo4 from '../assets/4.jpg';
-import photo5 from '../assets/5.jpg';
-import sample1 from '../assets/gallery/sample-1.png';
-import sample2 from '../assets/gallery/sample-2.png';
-import sample3 from '../assets/gallery/sample-3.png';
-import sample4 from '../assets/gallery/sample-4.png';
-import sample5 from '../assets/gallery/sample-5.png';
-import sample6 from '../assets/gallery/sample-6.png';
-import sample7 from '../assets/gallery/sample-7.png';
-import sample8 from '../assets/gallery/sample-8.png';
-import sample9 from '../assets/gallery/sample-9.png';
-import sample10 from '../assets/gallery/sample-10.png';
-import sample11 from '../assets/gallery/sample-11.png';
+import Carousel from './Carousel';
+import Lightbox from './Lightbox';
+import LivePreview from './LivePreview';
+import { getGalleryCollection, getLiveProjects } from '../content';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import { track } from '../analytics';
+
+// Lightbox URLs use 1-based positions: /gallery/photos/3 is the third photo
+const lightboxPath = (collection, index) => `/gallery/${collection}/${index + 1}`;
 
 const Gallery = () => {
   const galleryRef = useRef(null);
+  const navigate = useNavigate();
+  const { collection, position } = useParams();
+  const { t } = useI18n();
+
+  // Lightbox URLs are views of the one gallery page
+  usePageMeta({ title: t('meta.gallery.title'), description: t('meta.gallery.description'), path: '/gallery' });
 
   useEffect(() => {
     const node = galleryRef.current; // capture once
@@ -43,50 +44,23 @@ const Gallery = () => {
     };
   }, []);
 
-  const photos = [
-    { src: photo1, alt: 'Photo 1' },
-    { src: photo2, alt: 'Photo 2' },
-    { src: photo3, alt: 'Photo 3' },
-    { src: photo4, alt: 'Photo 4' },
-    { src: photo5, alt: 'Photo 5' },
-  ];
-
-  const journalSamples = [
-    { src: sample1, alt: 'Sample 1' },
-    { src: sample2, alt: 'Sample 2' },
-    { src: sample3, alt: 'Sample 3' },
-    { src: sample4, alt: 'Sample 4' },
-    { src: sample5, alt: 'Sample 5' },
-    { src: sample6, alt: 'Sample 6' },
-    { src: sample7, alt: 'Sample 7' },
-    { src: sample8, alt: 'Sample 8' },
-    { src: sample9, alt: 'Sample 9' },
-    { src: sample10, alt: 'Sample 10' },
-    { src: sample11, alt: 'Sample 11' },
-  ];
-
-  const liveProjects = [
-    {
-      url: 'https://theeverythingjournal.netlify.app/',
-      title: 'The Everything Journal',
-      iframe: 'https://theeverythingjournal.netlify.app/'
-    },
-    {
-      url: 'https://lyskh.github.io/ACS/',
-      title: 'Organization Website',
-      iframe: 'https://lyskh.github.io/ACS/'
-    },
-    {
-      url: 'https://lyskh.github.io/my-portfolio/',
-      title: 'This Site',
-      iframe: 'https://lyskh.github.io/my-portfolio/'
-    },
-    {
-      url: 'https://digital-visitor-log-12121.web.app/',
-      title: 'Digital Visitor Log',
-      iframe: 'https://digital-visitor-log-12121.web.app/'
-    }
-  ];
+  const photos = getGalleryCollection('photos').items;
+  const journalSamples = getGalleryCollection('design').items;
+  const liveProjects = getLiveProjects();
+
+  const openCollection = collection ? getGalleryCollection(collection) : null;
+  const openIndex = Number(position) - 1;
+  const isValidLightbox =
+    openCollection && Number.isInteger(openIndex) && openIndex >= 0 && openIndex < openCollection.items.length;
+
+  if (collection && !isValidLightbox) {
+    return <Navigate to="/gallery" replace />;
+  }
+
+  const closeLightbox = () => navigate('/gallery', { state: { preserveScroll: true } });
+
+  const showImage = (index) =>
+    navigate(lightboxPath(collection, index), { replace: true, state: { preserveScroll: true } });
 
   return (
     <section className="gallery-section" id="samples" ref={galleryRef}>
@@ -99,61 +73,38 @@ const Gallery = () => {
         
         <h6 className="gallery-subtitle">Photographs</h6>
 
-        {/* Photos carousel (single-row) */}
-        <div className="carousel" aria-label="Photographs carousel">
-          <button className="carousel-control prev" aria-label="Previous" onClick={() => {
-            const track = document.getElementById('photos-track');
-            track && (track.scrollLeft -= track.clientWidth * 0.9);
-          }}>
-            <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-              <path d="M15 18l-6-6 6-6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
-            </svg>
-          </button>
-          <div className="carousel-track" id="photos-track">
-            {photos.map((photo, index) => (
-              <div key={index} className="carousel-item">
-                <img src={photo.src} alt={photo.alt} loading="lazy" />
-              </div>
-            ))}
-          </div>
-          <button className="carousel-control next" aria-label="Next" onClick={() => {
-            const track = document.getElementById('photos-track');
-            track && (track.scrollLeft += track.clientWidth * 0.9);
-          }}>
-            <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-              <path d="M9 6l6 6-6 6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
-            </svg>
-          </button>
-        </div>
+        <Carousel
+          items={photos}
+          label="Photographs carousel"
+          itemLabel="photo"
+          renderItem={(photo, index) => (
+            <Link
+              to={lightboxPath('photos', index)}
+              state={{ preserveScroll: true }}
+              aria-label={`View ${photo.alt} full size`}
+            >
+              <img src={photo.image} alt={photo.alt} loading="lazy" />
+            </Link>
+          )}
+        />
 
         <h6 className="gallery-subtitle">Graphic Design</h6>
-        
-        {/* Journal samples carousel (single-row) */}
-        <div className="carousel journal" aria-label="Sample works carousel">
-          <button className="carousel-control prev" aria-label="Previous sample" onClick={() => {
-            const track = document.getElementById('samples-track');
-            track && (track.scrollLeft -= track.clientWidth * 0.9);
-          }}>
-            <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-              <path d="M15 18l-6-6 6-6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
-            </svg>
-          </button>
-          <div className="carousel-track" id="samples-track">
-            {journalSamples.map((sample, index) => (
-              <div key={index} className="carousel-item">
-                <img src={sample.src} alt={sample.alt} loading="lazy" />
-              </div>
-            ))}
-          </div>
-          <button className="carousel-control next" aria-label="Next sample" onClick={() => {
-            const track = document.getElementById('samples-track');
-            track && (track.scrollLeft += track.clientWidth * 0.9);
-          }}>
-            <svg width="18" height="18" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
-              <path d="M9 6l6 6-6 6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
-            </svg>
-          </button>
-        </div>
+
+        <Carousel
+          items={journalSamples}
+          className="journal"
+          label="Sample works carousel"
+          itemLabel="sample"
+          renderItem={(sample, index) => (
+            <Link
+              to={lightboxPath('design', index)}
+              state={{ preserveScroll: true }}
+              aria-label={`View ${sample.alt} full size`}
+            >
+              <img src={sample.image} alt={sample.alt} loading="lazy" />
+            </Link>
+          )}
+        />
 
         <div className="section-divider">
           <img src={lineDivider} alt="Divider" />
@@ -162,14 +113,9 @@ const Gallery = () => {
         <h1 className="section-title">Live Sites</h1>
 
         {liveProjects.map((project, index) => (
-          <div key={index} className="live-project">
+          <div key={project.id} className="live-project">
             <div className="iframe-container">
-              <iframe
-                src={project.iframe}
-                title={project.title}
-                frameBorder="0"
-                loading="lazy"
-              />
+              <LivePreview project={project} />
             </div>
             <div className="live-project-button">
               <a
@@ -177,6 +123,7 @@ const Gallery = () => {
                 target="_blank"
                 rel="noopener noreferrer"
                 className="btn btn-outline-dark"
+                onClick={() => track('outbound_click', { url: project.url, project: project.id, location: 'gallery' })}
               >
                 {project.title}
               </a>
@@ -185,6 +132,16 @@ const Gallery = () => {
           </div>
         ))}
       </div>
+
+      {isValidLightbox && (
+        <Lightbox
+          items={openCollection.items}
+          index={openIndex}
+          label={`${openCollection.title} viewer`}
+          onNavigate={showImage}
+          onClose={closeLightbox}
+        />
+      )}
     </section>
   );
 };
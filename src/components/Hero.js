@@ -2,10 +2,16 @@ import React, { useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import './Hero.css';
 import heroIntro from '../assets/hero-intro.png';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import { track } from '../analytics';
 
 const Hero = () => {
   const heroRef = useRef(null);
   const navigate = useNavigate();
+  const { t } = useI18n();
+
+  usePageMeta({ description: t('meta.home.description'), image: heroIntro });
 
   useEffect(() => {
     const node = heroRef.current; // capture once
@@ -30,6 +36,7 @@ const Hero = () => {
   }, []);
 
   const scrollToWorks = () => {
+    track('view_work_click', { location: 'hero' });
     navigate('/works');
   };
 
@@ -38,17 +45,12 @@ const Hero = () => {
       <div className="container">
         <div className="hero-content">
           <div className="hero-image">
-            <img src={heroIntro} alt="Allysa" />
+            <img src={heroIntro} alt={t('hero.imageAlt')} />
           </div>
-          <h1>Hi, I'm Allysa</h1>
-          <p className="lead">
-            An aspiring IT professional with a strong passion for web development and design, 
-            eager to create visually stunning and highly functional digital experiences. 
-            Continuously learning and exploring new technologies to enhance skills, build 
-            innovative projects, and contribute to the ever-evolving world of technology.
-          </p>
+          <h1>{t('hero.greeting')}</h1>
+          <p className="lead">{t('hero.lead')}</p>
           <button className="btn btn-outline-dark" onClick={scrollToWorks}>
-            View My Work
+            {t('hero.cta')}
           </button>
         </div>
       </div>
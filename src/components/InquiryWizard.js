@@ -0,0 +1,422 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import './InquiryWizard.css';
+import { getAddons, getBudgetRanges, getPackage, getPackages, getTimelines } from '../content';
+import {
+  EMPTY_INQUIRY,
+  INQUIRY_STEPS,
+  buildInquiryPayload,
+  describeInquiry,
+  firstInvalidStep,
+  validateStep
+} from '../contact/inquiry';
+import { LIMITS, checkSpam } from '../contact/validation';
+import { NETWORK_ERROR, SUCCESS } from '../contact/transports';
+import transport from '../contact/transport';
+import { createSubmissionId, dequeue, enqueue, subscribe } from '../contact/queue';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import { track } from '../analytics';
+
+// Draft progress survives reloads so a half-finished inquiry isn't lost
+const DRAFT_KEY = 'inquiry-draft';
+
+const loadDraft = () => {
+  try {
+    const draft = JSON.parse(window.localStorage.getItem(DRAFT_KEY));
+    if (draft && draft.data) {
+      return {
+        step: Math.min(Math.max(Number(draft.step) || 0, 0), INQUIRY_STEPS.length - 1),
+        data: { ...EMPTY_INQUIRY, ...draft.data }
+      };
+    }
+  } catch (_) {
+    // Corrupt or unavailable storage: start over
+  }
+  return { step: 0, data: EMPTY_INQUIRY };
+};
+
+const saveDraft = (draft) => {
+  try {
+    window.localStorage.setItem(DRAFT_KEY, JSON.stringify(draft));
+  } catch (_) {
+    // Storage disabled: progress just won't survive a reload
+  }
+};
+
+const clearDraft = () => {
+  try {
+    window.localStorage.removeItem(DRAFT_KEY);
+  } catch (_) {
+    // nothing to clear
+  }
+};
+
+const InquiryWizard = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [draft, setDraft] = useState(() => {
+    const initial = loadDraft();
+    // "Inquire about this package" links preselect the package
+    const requested = searchParams.get('package');
+    if (requested && getPackage(requested)) {
+      return { step: initial.step, data: { ...initial.data, package: requested } };
+    }
+    return initial;
+  });
+  const [errors, setErrors] = useState({});
+  const [hpField, setHpField] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // 'queued' | 'sent' once the inquiry went to the offline/retry queue
+  const [queued, setQueued] = useState(null);
+  const startedAtRef = useRef(Date.now());
+  const headingRef = useRef(null);
+  const firstRenderRef = useRef(true);
+  const { locale, t, has } = useI18n();
+
+  usePageMeta({ title: t('meta.inquiry.title'), description: t('meta.inquiry.description') });
+
+  const { step, data } = draft;
+  const current = INQUIRY_STEPS[step];
+
+  useEffect(() => {
+    if (!queued) saveDraft(draft);
+  }, [draft, queued]);
+
+  // The draft stays until the queue reports the inquiry sent; if it is dropped
+  // instead, the visitor gets it back on the review step
+  useEffect(() => {
+    if (queued !== 'queued') return undefined;
+    return subscribe((event) => {
+      if (event.id !== data.submissionId) return;
+      if (event.type === 'sent') {
+        clearDraft();
+        setQueued('sent');
+      } else if (event.type === 'dropped') {
+        track('contact_error', { form: 'inquiry', reason: 'dropped' });
+        setQueued(null);
+        setErrors({
+          form: { code: 'dropped', message: t('inquiry.error.dropped') }
+        });
+      }
+    });
+  }, [queued, data.submissionId, t]);
+
+  // Move focus to the new step's heading so keyboard and screen reader users follow along
+  useEffect(() => {
+    if (firstRenderRef.current) {
+      firstRenderRef.current = false;
+      return;
+    }
+    headingRef.current && headingRef.current.focus();
+  }, [step]);
+
+  const update = (field, value) => {
+    setDraft((prev) => ({ ...prev, data: { ...prev.data, [field]: value } }));
+    if (errors[field]) {
+      setErrors((prev) => {
+        const next = { ...prev };
+        delete next[field];
+        return next;
+      });
+    }
+  };
+
+  const toggleAddon = (id) => {
+    update('addons', data.addons.includes(id) ? data.addons.filter((a) => a !== id) : [...data.addons, id]);
+  };
+
+  // Each step reached counts as a funnel step, so drop-off shows per step
+  useEffect(() => {
+    track('contact_step', { form: 'inquiry', step: INQUIRY_STEPS[step].id });
+  }, [step]);
+
+  const trackErrors = (stepErrors) =>
+    Object.entries(stepErrors).forEach(([field, problem]) =>
+      track('contact_error', { form: 'inquiry', reason: problem.code, field })
+    );
+
+  const goTo = (index) => {
+    setErrors({});
+    setDraft((prev) => ({ ...prev, step: index }));
+  };
+
+  const submitInquiry = async () => {
+    const invalid = firstInvalidStep(data);
+    if (invalid !== -1) {
+      const stepErrors = validateStep(INQUIRY_STEPS[invalid].id, data);
+      trackErrors(stepErrors);
+      goTo(invalid);
+      setErrors(stepErrors);
+      return;
+    }
+    const spam = checkSpam({ honeypot: hpField, startedAt: startedAtRef.current });
+    if (spam) {
+      track('contact_error', { form: 'inquiry', reason: spam.code });
+      setErrors({ form: spam });
+      return;
+    }
+
+    setIsSubmitting(true);
+    track('contact_step', { form: 'inquiry', step: 'submit' });
+    const submissionId = data.submissionId || createSubmissionId();
+    if (!data.submissionId) update('submissionId', submissionId);
+    const payload = { ...buildInquiryPayload(data), submissionId };
+    const result = navigator.onLine ? await transport.send(payload) : { status: NETWORK_ERROR };
+    setIsSubmitting(false);
+
+    if (result.status === SUCCESS) {
+      // A resubmitted inquiry may still be waiting in the queue
+      dequeue(submissionId);
+      track('contact_step', { form: 'inquiry', step: 'sent' });
+      clearDraft();
+      navigate('/thank-you');
+    } else if (result.status === NETWORK_ERROR) {
+      // Same safety net as the contact form: keep it and retry in the background
+      enqueue(payload);
+      track('contact_step', { form: 'inquiry', step: 'queued' });
+      setQueued('queued');
+    } else {
+      track('contact_error', { form: 'inquiry', reason: 'rejected' });
+      setErrors({ form: { code: 'rejected', message: result.message }, ...result.errors });
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (current.id === 'review') {
+      submitInquiry();
+      return;
+    }
+    const stepErrors = validateStep(current.id, data);
+    if (Object.keys(stepErrors).length) {
+      trackErrors(stepErrors);
+      setErrors(stepErrors);
+      return;
+    }
+    goTo(step + 1);
+  };
+
+  const fieldProps = (field) => ({
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': errors[field] ? `inquiry-${field}-error` : undefined
+  });
+
+  // Inquiry-specific wording first, then the contact form's, then the validator's English
+  const errorText = (field, problem) => {
+    const key = [`inquiry.error.${problem.code}`, `contact.error.${problem.code}`].find((candidate) => has(candidate));
+    return key ? t(key, { field, max: LIMITS[field] || LIMITS.message, min: LIMITS.minMessage }) : problem.message;
+  };
+
+  const fieldError = (field) =>
+    errors[field] && (
+      <p id={`inquiry-${field}-error`} className="field-error">{errorText(field, errors[field])}</p>
+    );
+
+  const renderChoices = (field, legend, options) => (
+    <fieldset className="wizard-fieldset" {...fieldProps(field)}>
+      <legend>{legend}</legend>
+      <div className="wizard-options">
+        {options.map((option) => (
+          <label key={option.id} className={`wizard-option ${data[field] === option.id ? 'selected' : ''}`}>
+            <input
+              type="radio"
+              name={field}
+              value={option.id}
+              checked={data[field] === option.id}
+              onChange={() => update(field, option.id)}
+            />
+            <span className="option-title">{option.label || option.title}</span>
+            {option.bestFor && <span className="option-detail">{option.bestFor}</span>}
+          </label>
+        ))}
+      </div>
+      {fieldError(field)}
+    </fieldset>
+  );
+
+  const renderStep = () => {
+    switch (current.id) {
+      case 'package':
+        return renderChoices('package', t('inquiry.packageLegend'), getPackages(locale));
+      case 'addons':
+        return (
+          <fieldset className="wizard-fieldset" {...fieldProps('addons')}>
+            <legend>{t('inquiry.addonsLegend')}</legend>
+            <div className="wizard-options">
+              {getAddons(locale).map((addon) => (
+                <label key={addon.id} className={`wizard-option ${data.addons.includes(addon.id) ? 'selected' : ''}`}>
+                  <input
+                    type="checkbox"
+                    name="addons"
+                    value={addon.id}
+                    checked={data.addons.includes(addon.id)}
+                    onChange={() => toggleAddon(addon.id)}
+                  />
+                  <span className="option-title">{addon.label}</span>
+                </label>
+              ))}
+            </div>
+            {fieldError('addons')}
+          </fieldset>
+        );
+      case 'scope':
+        return (
+          <>
+            {renderChoices('timeline', t('inquiry.timelineLegend'), getTimelines(locale))}
+            {renderChoices('budget', t('inquiry.budgetLegend'), getBudgetRanges(locale))}
+          </>
+        );
+      case 'contact':
+        return (
+          <div className="wizard-fields">
+            <label htmlFor="inquiry-name">{t('contact.nameLabel')}</label>
+            <input
+              type="text"
+              id="inquiry-name"
+              value={data.name}
+              onChange={(e) => update('name', e.target.value)}
+              maxLength={LIMITS.name}
+              autoComplete="name"
+              required
+              {...fieldProps('name')}
+            />
+            {fieldError('name')}
+
+            <label htmlFor="inquiry-email">{t('contact.emailLabel')}</label>
+            <input
+              type="email"
+              id="inquiry-email"
+              value={data.email}
+              onChange={(e) => update('email', e.target.value)}
+              maxLength={LIMITS.email}
+              autoComplete="email"
+              required
+              {...fieldProps('email')}
+            />
+            {fieldError('email')}
+
+            <label htmlFor="inquiry-notes">{t('inquiry.notesLabel')}</label>
+            <textarea
+              id="inquiry-notes"
+              rows="4"
+              value={data.notes}
+              onChange={(e) => update('notes', e.target.value)}
+              maxLength={LIMITS.message}
+              {...fieldProps('notes')}
+            />
+            <p className="char-counter">{t('contact.counter', { count: data.notes.length, max: LIMITS.message })}</p>
+            {fieldError('notes')}
+          </div>
+        );
+      case 'review': {
+        const labels = describeInquiry(data, locale);
+        const rows = [
+          { id: 'package', value: labels.package, step: 0 },
+          { id: 'addons', value: labels.addons.join(', ') || t('inquiry.review.none'), step: 1 },
+          { id: 'timeline', value: labels.timeline, step: 2 },
+          { id: 'budget', value: labels.budget, step: 2 },
+          { id: 'name', value: data.name, step: 3 },
+          { id: 'email', value: data.email, step: 3 },
+          { id: 'notes', value: data.notes || '—', step: 3 }
+        ];
+        return (
+          <dl className="wizard-review">
+            {rows.map((row) => {
+              const label = t('inquiry.review.label', { row: row.id });
+              return (
+                <div key={row.id} className="review-row">
+                  <dt>{label}</dt>
+                  <dd>{row.value}</dd>
+                  <button type="button" className="review-edit" onClick={() => goTo(row.step)}>
+                    {t('inquiry.review.edit')}<span className="visually-hidden"> {label}</span>
+                  </button>
+                </div>
+              );
+            })}
+          </dl>
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  if (queued) {
+    return (
+      <section className="inquiry-section">
+        <div className="container">
+          <div className="wizard-card" role="status">
+            {queued === 'sent' ? (
+              <>
+                <h1 className="section-title">{t('inquiry.sentTitle')}</h1>
+                <p>{t('inquiry.queuedSent')}</p>
+              </>
+            ) : (
+              <>
+                <h1 className="section-title">{t('inquiry.queuedTitle')}</h1>
+                <p>{t('inquiry.queued')}</p>
+              </>
+            )}
+          </div>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="inquiry-section" id="inquiry">
+      <div className="container">
+        <h1 className="section-title text-center">{t('inquiry.title')}</h1>
+
+        <ol className="wizard-progress">
+          {INQUIRY_STEPS.map((item, index) => (
+            <li
+              key={item.id}
+              className={`${index === step ? 'current' : ''} ${index < step ? 'done' : ''}`}
+              aria-current={index === step ? 'step' : undefined}
+            >
+              <span className="step-number">{index + 1}</span>
+              <span className="step-title">{t('inquiry.step', { step: item.id })}</span>
+            </li>
+          ))}
+        </ol>
+
+        <form className="wizard-card" onSubmit={handleSubmit} noValidate>
+          <p className="wizard-step-count">{t('inquiry.stepCount', { step: step + 1, total: INQUIRY_STEPS.length })}</p>
+          <h2 tabIndex={-1} ref={headingRef}>{t('inquiry.step', { step: current.id })}</h2>
+
+          {/* Honeypot, as on the contact form */}
+          <label htmlFor="inquiry-hp" className="visually-hidden" aria-hidden="true">{t('contact.honeypot')}</label>
+          <input
+            type="text"
+            id="inquiry-hp"
+            value={hpField}
+            onChange={(e) => setHpField(e.target.value)}
+            autoComplete="off"
+            tabIndex={-1}
+            aria-hidden="true"
+            className="visually-hidden"
+          />
+
+          {renderStep()}
+
+          {errors.form && <p className="form-error" role="alert">{errorText('form', errors.form)}</p>}
+
+          <div className="wizard-actions">
+            {step > 0 && (
+              <button type="button" className="btn btn-outline-dark" onClick={() => goTo(step - 1)}>
+                {t('inquiry.back')}
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+              {current.id === 'review' ? isSubmitting ? t('contact.sending') : t('inquiry.send') : t('inquiry.next')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+};
+
+export default InquiryWizard;
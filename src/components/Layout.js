@@ -0,0 +1,16 @@
+import React from 'react';
+import { Outlet } from 'react-router-dom';
+import Navbar from './Navbar';
+import RouteErrorBoundary from './RouteErrorBoundary';
+
+// Shared frame for every route: the navbar stays usable when a page fails to render
+const Layout = () => (
+  <>
+    <Navbar />
+    <RouteErrorBoundary>
+      <Outlet />
+    </RouteErrorBoundary>
+  </>
+);
+
+export default Layout;
@@ -0,0 +1,238 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import './Lightbox.css';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const SWIPE_THRESHOLD = 50; // px of horizontal travel before a swipe changes image
+
+const clampScale = (value) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, value));
+
+const touchDistance = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+const FOCUSABLE = 'button:not([disabled]), [href], [tabindex]:not([tabindex="-1"])';
+
+// A focused button that gets disabled drops focus to <body>, outside the
+// dialog, so a nav button about to be disabled passes focus on first: to its
+// counterpart, or to `fallback` while that one is disabled too
+const handOffFocus = (button, counterpart, fallback) => {
+  if (!button || document.activeElement !== button) return;
+  (counterpart && !counterpart.disabled ? counterpart : fallback).focus();
+};
+
+/*
+  Full-screen viewer for a list of images.
+  - `items` are content entries ({ id, image, alt, caption? }); `index` is the open one.
+  - Navigation is reported through `onNavigate(nextIndex)` so the parent can keep the URL in sync.
+  - Rendered into document.body: the gallery section is transformed, which would
+    otherwise turn `position: fixed` into positioning relative to the section.
+*/
+const Lightbox = ({ items, index, label, onNavigate, onClose }) => {
+  const [scale, setScale] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const prevRef = useRef(null);
+  const nextRef = useRef(null);
+  const gestureRef = useRef(null);
+
+  const item = items[index];
+  const hasPrev = index > 0;
+  const hasNext = index < items.length - 1;
+
+  const goPrev = useCallback(() => {
+    if (!hasPrev) return;
+    if (index - 1 === 0) handOffFocus(prevRef.current, nextRef.current, closeRef.current);
+    onNavigate(index - 1);
+  }, [hasPrev, index, onNavigate]);
+
+  const goNext = useCallback(() => {
+    if (!hasNext) return;
+    if (index + 1 === items.length - 1) handOffFocus(nextRef.current, prevRef.current, closeRef.current);
+    onNavigate(index + 1);
+  }, [hasNext, index, items.length, onNavigate]);
+
+  const zoomTo = (value) => {
+    const next = clampScale(value);
+    setScale(next);
+    if (next === MIN_SCALE) setOffset({ x: 0, y: 0 });
+  };
+
+  // Reset zoom whenever a different image is shown
+  useEffect(() => {
+    setScale(1);
+    setOffset({ x: 0, y: 0 });
+  }, [index]);
+
+  // Lock page scroll, move focus into the dialog and restore it on close
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    closeRef.current && closeRef.current.focus();
+    return () => {
+      document.body.style.overflow = overflow;
+      previouslyFocused && previouslyFocused.focus && previouslyFocused.focus();
+    };
+  }, []);
+
+  // Keys are handled on the document, so they work even when focus has
+  // ended up outside the dialog (a click on the image, a removed control)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const dialog = dialogRef.current;
+      if (!dialog) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onClose();
+      } else if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        goPrev();
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        goNext();
+      } else if (e.key === 'Tab') {
+        // Focus trap: cycle between the first and last focusable controls
+        const focusable = dialog.querySelectorAll(FOCUSABLE);
+        if (!focusable.length) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+          e.preventDefault();
+          first.focus();
+        } else if (!dialog.contains(document.activeElement)) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [goPrev, goNext, onClose]);
+
+  const handleTouchStart = (e) => {
+    if (e.touches.length === 2) {
+      gestureRef.current = { type: 'pinch', distance: touchDistance(e.touches), scale };
+    } else if (e.touches.length === 1) {
+      const { clientX, clientY } = e.touches[0];
+      gestureRef.current = { type: 'drag', x: clientX, y: clientY, offset, dx: 0, dy: 0 };
+    }
+  };
+
+  const handleTouchMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+    if (gesture.type === 'pinch' && e.touches.length === 2) {
+      zoomTo(gesture.scale * (touchDistance(e.touches) / gesture.distance));
+    } else if (gesture.type === 'drag' && e.touches.length === 1) {
+      gesture.dx = e.touches[0].clientX - gesture.x;
+      gesture.dy = e.touches[0].clientY - gesture.y;
+      if (scale > MIN_SCALE) {
+        setOffset({ x: gesture.offset.x + gesture.dx, y: gesture.offset.y + gesture.dy });
+      }
+    }
+  };
+
+  const handleTouchEnd = () => {
+    const gesture = gestureRef.current;
+    gestureRef.current = null;
+    // Swipes only page between images while not zoomed in; zoomed drags pan instead
+    if (!gesture || gesture.type !== 'drag' || scale > MIN_SCALE) return;
+    if (Math.abs(gesture.dx) > SWIPE_THRESHOLD && Math.abs(gesture.dx) > Math.abs(gesture.dy)) {
+      gesture.dx < 0 ? goNext() : goPrev();
+    }
+  };
+
+  const handleWheel = (e) => {
+    zoomTo(scale - e.deltaY * 0.002);
+  };
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget) onClose();
+  };
+
+  if (!item) return null;
+
+  const caption = item.caption || item.alt;
+
+  return createPortal(
+    <div className="lightbox" onClick={handleBackdropClick}>
+      <div
+        className="lightbox-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        ref={dialogRef}
+      >
+        <div className="lightbox-toolbar">
+          <span className="lightbox-counter" aria-live="polite">
+            {index + 1} / {items.length}
+          </span>
+          <div className="lightbox-actions">
+            <button type="button" onClick={() => zoomTo(scale - 0.5)} disabled={scale <= MIN_SCALE} aria-label="Zoom out">
+              &minus;
+            </button>
+            <button type="button" onClick={() => zoomTo(scale + 0.5)} disabled={scale >= MAX_SCALE} aria-label="Zoom in">
+              +
+            </button>
+            <button type="button" onClick={onClose} ref={closeRef} aria-label="Close viewer">
+              &times;
+            </button>
+          </div>
+        </div>
+
+        <div
+          className={`lightbox-stage ${scale > MIN_SCALE ? 'zoomed' : ''}`}
+          onTouchStart={handleTouchStart}
+          onTouchMove={handleTouchMove}
+          onTouchEnd={handleTouchEnd}
+          onWheel={handleWheel}
+          onDoubleClick={() => zoomTo(scale > MIN_SCALE ? MIN_SCALE : 2)}
+          onClick={handleBackdropClick}
+        >
+          <img
+            src={item.image}
+            alt={item.alt}
+            draggable="false"
+            style={{ transform: `translate(${offset.x}px, ${offset.y}px) scale(${scale})` }}
+          />
+        </div>
+
+        <button
+          type="button"
+          className="lightbox-nav prev"
+          ref={prevRef}
+          onClick={goPrev}
+          disabled={!hasPrev}
+          aria-label="Previous image"
+        >
+          <svg width="22" height="22" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+            <path d="M15 18l-6-6 6-6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
+          </svg>
+        </button>
+        <button
+          type="button"
+          className="lightbox-nav next"
+          ref={nextRef}
+          onClick={goNext}
+          disabled={!hasNext}
+          aria-label="Next image"
+        >
+          <svg width="22" height="22" viewBox="0 0 24 24" aria-hidden="true" focusable="false">
+            <path d="M9 6l6 6-6 6" stroke="currentColor" strokeWidth="2" fill="none" strokeLinecap="round" strokeLinejoin="round" />
+          </svg>
+        </button>
+
+        {caption && <p className="lightbox-caption">{caption}</p>}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default Lightbox;
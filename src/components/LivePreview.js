@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import './LivePreview.css';
+import { track } from '../analytics';
+
+/*
+  Static screenshot of a live site that turns into a sandboxed iframe on click.
+  - A frame the site refuses still fires `load`, so the browser can't tell us;
+    `embeddable` comes from the build-time header check instead, and sites that
+    refuse framing (or couldn't be checked) show an "open in new tab" state.
+  - Without a screenshot (`preview` is null) the card shows the site's address.
+*/
+const LivePreview = ({ project }) => {
+  const [status, setStatus] = useState(project.embeddable ? 'preview' : 'blocked');
+
+  if (status === 'loading' || status === 'loaded') {
+    return (
+      <div className={`live-preview ${status}`} aria-busy={status === 'loading'}>
+        {status === 'loading' && <p className="live-preview-status">Loading {project.title}…</p>}
+        <iframe
+          src={project.iframe}
+          title={project.title}
+          sandbox="allow-scripts allow-same-origin allow-forms allow-popups"
+          referrerPolicy="no-referrer"
+          onLoad={() => setStatus('loaded')}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className={`live-preview ${status}`}>
+      {project.preview ? (
+        <img src={project.preview} alt={`Screenshot of ${project.title}`} loading="lazy" />
+      ) : (
+        <p className="live-preview-address">{new URL(project.url).host}</p>
+      )}
+      <div className="live-preview-overlay">
+        {status === 'preview' ? (
+          <button type="button" className="btn btn-outline-dark" onClick={() => setStatus('loading')}>
+            Load live preview
+          </button>
+        ) : (
+          <>
+            <p className="live-preview-status">This site can't be shown here.</p>
+            <a
+              href={project.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="btn btn-outline-dark"
+              onClick={() => track('outbound_click', { url: project.url, project: project.id, location: 'live_preview' })}
+            >
+              Open in new tab
+            </a>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LivePreview;
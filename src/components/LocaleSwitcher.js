@@ -0,0 +1,31 @@
+import React from 'react';
+import { useLocation } from 'react-router-dom';
+import { LOCALES, localizePath } from '../i18n';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Links to the current page in every locale. These are plain anchors on
+// purpose: the locale is part of the router basename, so switching reloads.
+const LocaleSwitcher = () => {
+  const { locale, t } = useI18n();
+  const { pathname, search, hash } = useLocation();
+  const publicUrl = process.env.PUBLIC_URL || '';
+
+  return (
+    <div className="locale-switcher" role="group" aria-label={t('nav.language')}>
+      {LOCALES.map((item) => (
+        <a
+          key={item.id}
+          href={`${publicUrl}${localizePath(pathname, item.id)}${search}${hash}`}
+          hrefLang={item.id}
+          lang={item.id}
+          className={`locale-link ${item.id === locale ? 'active' : ''}`}
+          aria-current={item.id === locale ? 'true' : undefined}
+        >
+          {item.label}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default LocaleSwitcher;
@@ -1,70 +1,151 @@
-import React, { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, NavLink, useLocation } from 'react-router-dom';
 import './Navbar.css';
+import LocaleSwitcher from './LocaleSwitcher';
+import ThemeSwitcher from './ThemeSwitcher';
+import { hasPosts } from '../content';
+import { useI18n } from '../i18n/I18nProvider';
 
+const MENU_ID = 'navbar-menu';
+// Matches the breakpoint in Navbar.css below which the links collapse into a menu
+const MOBILE_QUERY = '(max-width: 768px)';
+const FOCUSABLE = 'a[href], button:not([disabled]), select:not([disabled]), input:not([disabled])';
+
+// `end` keeps "Intro" from matching every page; the others stay active on their sub-pages.
+// The blog is left out while it has no posts.
+const NAV_LINKS = [
+  { to: '/', label: 'nav.intro', end: true },
+  { to: '/about', label: 'nav.about' },
+  { to: '/works', label: 'nav.works' },
+  { to: '/gallery', label: 'nav.gallery' },
+  { to: '/blog', label: 'nav.blog', needsPosts: true },
+  { to: '/contact', label: 'nav.contact' },
+  { to: '/services', label: 'nav.services' }
+].filter((link) => !link.needsPosts || hasPosts());
+
+/*
+  Site navigation, rendered once by the layout route in App.js.
+  - NavLink marks the current section (class "active", aria-current="page").
+  - On small screens the links collapse into a menu. While it is open, Tab
+    stays inside the toggle and the menu, Escape closes it and returns focus
+    to the toggle, and a click outside or a route change closes it.
+*/
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
+  const navRef = useRef(null);
+  const toggleRef = useRef(null);
+  const { t } = useI18n();
+  const location = useLocation();
 
+  // Passive and once per frame at most: it only toggles the shadow
   useEffect(() => {
+    let frame = null;
     const handleScroll = () => {
-      setScrolled(window.scrollY > 50);
+      if (frame) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        setScrolled(window.scrollY > 50);
+      });
+    };
+    handleScroll();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (frame) window.cancelAnimationFrame(frame);
     };
-    window.addEventListener('scroll', handleScroll);
-    return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
-  // navigation now uses route Links; helper left for in-page fallbacks
-  const closeMenu = () => setIsOpen(false);
+  useEffect(() => {
+    setIsOpen(false);
+  }, [location.pathname]);
 
-  const location = useLocation();
+  // The menu only exists on small screens; widening the window closes it
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const mql = window.matchMedia(MOBILE_QUERY);
+    const onChange = () => {
+      if (!mql.matches) setIsOpen(false);
+    };
+    mql.addEventListener('change', onChange);
+    return () => mql.removeEventListener('change', onChange);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const nav = navRef.current;
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        setIsOpen(false);
+        toggleRef.current && toggleRef.current.focus();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const focusable = [toggleRef.current, ...nav.querySelectorAll(`#${MENU_ID} ${FOCUSABLE}`)];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      } else if (!nav.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    const onPointerDown = (e) => {
+      if (!nav.contains(e.target)) setIsOpen(false);
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('pointerdown', onPointerDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      document.removeEventListener('pointerdown', onPointerDown);
+    };
+  }, [isOpen]);
+
+  const closeMenu = () => setIsOpen(false);
 
   return (
-    <nav className={`navbar ${scrolled ? 'scrolled' : ''} ${location.pathname === '/services' ? 'services-route' : ''}`}>
+    <nav
+      ref={navRef}
+      className={`navbar ${scrolled ? 'scrolled' : ''} ${location.pathname === '/services' ? 'services-route' : ''}`}
+    >
       <div className="container">
         <Link to="/" className="navbar-brand" onClick={closeMenu}>
           Allysa
         </Link>
-        <button 
+        <button
+          ref={toggleRef}
+          type="button"
           className={`navbar-toggler ${isOpen ? 'active' : ''}`}
           onClick={() => setIsOpen(!isOpen)}
-          aria-label="Toggle navigation"
+          aria-label={t('nav.toggle')}
+          aria-expanded={isOpen}
+          aria-controls={MENU_ID}
         >
           <span></span>
           <span></span>
           <span></span>
         </button>
-        <div className={`navbar-collapse ${isOpen ? 'show' : ''}`}>
+        <div id={MENU_ID} className={`navbar-collapse ${isOpen ? 'show' : ''}`}>
           <ul className="navbar-nav">
+            {NAV_LINKS.map((link) => (
+              <li className="nav-item" key={link.to}>
+                <NavLink className="nav-link" to={link.to} end={link.end} onClick={closeMenu}>
+                  {t(link.label)}
+                </NavLink>
+              </li>
+            ))}
             <li className="nav-item">
-              <Link className="nav-link" to="/" onClick={closeMenu}>
-                Intro
-              </Link>
-            </li>
-            <li className="nav-item">
-              <Link className="nav-link" to="/about" onClick={closeMenu}>
-                About Me
-              </Link>
-            </li>
-            <li className="nav-item">
-              <Link className="nav-link" to="/works" onClick={closeMenu}>
-                Works
-              </Link>
-            </li>
-            <li className="nav-item">
-              <Link className="nav-link" to="/gallery" onClick={closeMenu}>
-                Gallery
-              </Link>
+              <LocaleSwitcher />
             </li>
             <li className="nav-item">
-              <Link className="nav-link" to="/contact" onClick={closeMenu}>
-                Contact
-              </Link>
-            </li>
-            <li className="nav-item">
-              <Link className="nav-link" to="/services" onClick={closeMenu}>
-                Services
-              </Link>
+              <ThemeSwitcher />
             </li>
           </ul>
         </div>
@@ -74,5 +155,3 @@ const Navbar = () => {
 };
 
 export default Navbar;
-
-
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import './ThankYou.css';
+import './NotFound.css';
+import { getProjects, hasPosts } from '../content';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+
+const SUGGESTED_PAGES = [
+  { to: '/works', label: 'nav.works' },
+  { to: '/services', label: 'nav.services' },
+  { to: '/blog', label: 'nav.blog', needsPosts: true },
+  { to: '/about', label: 'nav.about' },
+  { to: '/contact', label: 'nav.contact' }
+].filter((link) => !link.needsPosts || hasPosts());
+
+// Malformed escapes (/works/%E0%A4%A) make decodeURIComponent throw; match on the raw segment then
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (_) {
+    return segment;
+  }
+};
+
+// A project whose id or title contains the last segment of the missing URL,
+// e.g. /works/inventory or /inventory-system -> the inventory project
+const closestProject = (pathname) => {
+  const segment = decodeSegment(pathname.split('/').filter(Boolean).pop() || '').toLowerCase();
+  if (segment.length < 3) return null;
+  const words = segment.split(/[-_\s]+/).filter((word) => word.length >= 3);
+  return (
+    getProjects().find((project) => {
+      const haystack = `${project.id} ${project.title}`.toLowerCase();
+      return haystack.includes(segment) || words.some((word) => haystack.includes(word));
+    }) || null
+  );
+};
+
+const NotFound = () => {
+  const { pathname } = useLocation();
+  const { t } = useI18n();
+  const project = closestProject(pathname);
+
+  usePageMeta({ title: t('meta.notFound.title'), noindex: true });
+
+  return (
+    <section className="not-found-section">
+      <div className="not-found-container">
+        <p className="not-found-code" aria-hidden="true">404</p>
+        <h1>{t('notFound.title')}</h1>
+        <p>{t('notFound.message', { path: pathname })}</p>
+
+        {project && (
+          <p className="not-found-match">
+            {t('notFound.didYouMean')}{' '}
+            <Link to={`/works/${project.id}`}>{project.title}</Link>
+          </p>
+        )}
+
+        <h2 className="not-found-subtitle">{t('notFound.suggestions')}</h2>
+        <ul className="not-found-links">
+          {SUGGESTED_PAGES.map((page) => (
+            <li key={page.to}>
+              <Link to={page.to}>{t(page.label)}</Link>
+            </li>
+          ))}
+        </ul>
+
+        <Link to="/" className="btn-home">
+          {t('notFound.home')}
+        </Link>
+      </div>
+    </section>
+  );
+};
+
+export default NotFound;
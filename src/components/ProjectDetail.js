@@ -0,0 +1,183 @@
+import React, { useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import './Projects.css';
+import './ProjectDetail.css';
+import { getProject, getAdjacentProjects } from '../content';
+import usePageMeta from '../seo/usePageMeta';
+import { projectSchema } from '../seo/structuredData';
+import { track } from '../analytics';
+
+const ProjectDetail = () => {
+  const { slug } = useParams();
+  const project = getProject(slug);
+  const { previous, next } = getAdjacentProjects(slug);
+  const detailRef = useRef(null);
+
+  usePageMeta(
+    project
+      ? {
+          title: project.title,
+          description: project.description,
+          image: project.image,
+          type: 'article',
+          jsonLd: projectSchema(project)
+        }
+      : { title: 'Project not found', noindex: true }
+  );
+
+  useEffect(() => {
+    const node = detailRef.current; // capture once
+    if (!node) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+          }
+        });
+      },
+      { threshold: 0.1 }
+    );
+
+    observer.observe(node);
+
+    return () => {
+      observer.unobserve(node); // safe, stable reference
+    };
+  }, []);
+
+  return (
+    <section className="project-detail-section" id="case-study" ref={detailRef}>
+      <div className="container">
+        {!project ? (
+          <div className="project-not-found text-center">
+            <h1 className="section-title">Project not found</h1>
+            <p>There is no case study at this address. It may have been renamed or removed.</p>
+            <Link to="/works" className="btn btn-outline-dark">
+              Back to all works
+            </Link>
+          </div>
+        ) : (
+          <article className="case-study">
+            <Link to="/works" className="case-study-back">
+              &larr; All works
+            </Link>
+            <h1 className="section-title">{project.title}</h1>
+            <p className="case-study-summary">{project.description}</p>
+
+            <div className="case-study-cover">
+              <img src={project.image} alt={project.title} />
+            </div>
+
+            <div className="case-study-grid">
+              <div className="case-study-main">
+                {project.problem && (
+                  <>
+                    <h2>The Problem</h2>
+                    <p>{project.problem}</p>
+                  </>
+                )}
+
+                {project.role && (
+                  <>
+                    <h2>My Role</h2>
+                    <p>{project.role}</p>
+                  </>
+                )}
+
+                {project.process && project.process.length > 0 && (
+                  <>
+                    <h2>Process</h2>
+                    <ol className="case-study-process">
+                      {project.process.map((step) => (
+                        <li key={step}>{step}</li>
+                      ))}
+                    </ol>
+                  </>
+                )}
+
+                {project.outcome && (
+                  <>
+                    <h2>Outcome</h2>
+                    <p>{project.outcome}</p>
+                  </>
+                )}
+
+                {project.note && (
+                  <p className={`note ${project.noteTone === 'danger' ? 'text-danger' : 'text-primary'}`}>
+                    {project.note}
+                  </p>
+                )}
+              </div>
+
+              <aside className="case-study-aside">
+                <div className="technologies">
+                  <p className="tech-label">Tech Stack:</p>
+                  <ul className="tech-list">
+                    {project.technologies.map((tech) => (
+                      <li key={tech}>{tech}</li>
+                    ))}
+                  </ul>
+                </div>
+                {(project.repo || project.demo) && (
+                  <div className="case-study-links">
+                    {project.demo && (
+                      <a
+                        href={project.demo}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="btn btn-outline-dark"
+                        onClick={() => track('outbound_click', { url: project.demo, project: project.id, location: 'project' })}
+                      >
+                        Live Demo
+                      </a>
+                    )}
+                    {project.repo && (
+                      <a href={project.repo} target="_blank" rel="noopener noreferrer" className="btn btn-outline-dark">
+                        Source Code
+                      </a>
+                    )}
+                  </div>
+                )}
+              </aside>
+            </div>
+
+            {project.screenshots.length > 0 && (
+              <div className="case-study-screenshots">
+                <h2>Screenshots</h2>
+                <div className="screenshot-grid">
+                  {project.screenshots.map((src, index) => (
+                    <img
+                      key={src}
+                      src={src}
+                      alt={`${project.title} screenshot ${index + 1}`}
+                      loading="lazy"
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <nav className="case-study-pager" aria-label="More projects">
+              {previous ? (
+                <Link to={`/works/${previous.id}`} className="pager-link prev" rel="prev">
+                  <span className="pager-label">&larr; Previous</span>
+                  <span className="pager-title">{previous.title}</span>
+                </Link>
+              ) : <span />}
+              {next ? (
+                <Link to={`/works/${next.id}`} className="pager-link next" rel="next">
+                  <span className="pager-label">Next &rarr;</span>
+                  <span className="pager-title">{next.title}</span>
+                </Link>
+              ) : <span />}
+            </nav>
+          </article>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ProjectDetail;
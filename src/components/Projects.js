@@ -1,11 +1,32 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import './Projects.css';
-import work1 from '../assets/work-1.png';
-import work2 from '../assets/work-2.png';
-import work3 from '../assets/work-3.png';
+import { filterProjects, getProjects, getTechnologies } from '../content';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import { projectSchema } from '../seo/structuredData';
 
 const Projects = () => {
   const projectsRef = useRef(null);
+  // Filters live in the query string (?tech=PHP&tech=MySQL&q=inventory) so a view can be shared.
+  // They apply after mount: the prerendered page lists every project, and the
+  // first render has to match it.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [mounted, setMounted] = useState(false);
+  const selectedTech = mounted ? searchParams.getAll('tech') : [];
+  const query = mounted ? searchParams.get('q') || '' : '';
+  const { t } = useI18n();
+
+  // Filtered views share the /works canonical, so every project is listed
+  usePageMeta({
+    title: t('meta.works.title'),
+    description: t('meta.works.description'),
+    jsonLd: getProjects().map(projectSchema)
+  });
+
+  useEffect(() => {
+    setMounted(true);
+  }, []);
 
   useEffect(() => {
     const node = projectsRef.current; // capture once
@@ -29,60 +50,103 @@ const Projects = () => {
     };
   }, []);
 
-  const projects = [
-    {
-      id: 1,
-      title: 'Retail Inventory Management System',
-      image: work1,
-      description: 'I embarked on the development of a retail inventory system to streamline inventory management processes for businesses. The system is designed to support role-based access control, allowing Admins, Managers, Employees, and Customers to interact with the system based on their respective roles. Additionally, I incorporated Bootstrap and CSS for a visually appealing and responsive interface, alongside PHP and MySQL for robust backend functionality.',
-      technologies: ['PHP', 'MySQL', 'Bootstrap', 'CSS', 'JavaScript']
-    },
-    {
-      id: 2,
-      title: 'SQLI Environment',
-      image: work2,
-      description: 'A development and testing of a purposefully vulnerable web application designed to demonstrate SQL injection vulnerabilities. SQL injection remains one of the most critical web application security risks, ranked third in the OWASP Top 10 2021. The application serves as an educational tool to understand how SQL injection attacks work, their potential impact, and the importance of implementing proper security measures.',
-      note: 'Note: This application and all attack vectors presented are for educational purposes only and should never be implemented in production environments.',
-      technologies: ['PHP', 'MySQL', 'HTML', 'CSS']
-    },
-    {
-      id: 3,
-      title: 'The Little Boy 2D Animation',
-      image: work3,
-      description: 'This is a short film project using Flash 8. It is a 2D animation short clip about the moral lesson of giving.',
-      technologies: ['Flash 8', 'ibisPaint', 'Canva', 'Capcut'],
-      note: 'Link to video will soon be updated.'
-    }
-  ];
+  const technologies = getTechnologies();
+  const projects = filterProjects({ technologies: selectedTech, query });
+  const hasFilters = selectedTech.length > 0 || query.length > 0;
+
+  const updateFilters = (nextTech, nextQuery) => {
+    const params = new URLSearchParams();
+    nextTech.forEach((tech) => params.append('tech', tech));
+    if (nextQuery) params.set('q', nextQuery);
+    setSearchParams(params, { replace: true });
+  };
+
+  const toggleTech = (tech) => {
+    const nextTech = selectedTech.includes(tech)
+      ? selectedTech.filter((item) => item !== tech)
+      : [...selectedTech, tech];
+    updateFilters(nextTech, query);
+  };
+
+  const handleSearch = (e) => {
+    updateFilters(selectedTech, e.target.value);
+  };
+
+  const clearFilters = () => updateFilters([], '');
 
   return (
     <section className="projects-section bg-light" id="works" ref={projectsRef}>
       <div className="container">
-        <h2 className="text-center section-title">My Projects</h2>
+        <h2 className="text-center section-title">{t('works.title')}</h2>
+        <div className="projects-filters" role="search">
+          <label htmlFor="project-search" className="visually-hidden">{t('works.searchLabel')}</label>
+          <input
+            type="search"
+            id="project-search"
+            className="project-search"
+            placeholder={t('works.searchPlaceholder')}
+            value={query}
+            onChange={handleSearch}
+          />
+          <div className="filter-chips" role="group" aria-label={t('works.filterLabel')}>
+            {technologies.map((tech) => {
+              const active = selectedTech.includes(tech);
+              return (
+                <button
+                  key={tech}
+                  type="button"
+                  className={`filter-chip ${active ? 'active' : ''}`}
+                  aria-pressed={active}
+                  onClick={() => toggleTech(tech)}
+                >
+                  {tech}
+                </button>
+              );
+            })}
+          </div>
+          <div className="filter-summary">
+            <p className="result-count" aria-live="polite">
+              {t('works.resultCount', { count: projects.length })}
+            </p>
+            {hasFilters && (
+              <button type="button" className="clear-filters" onClick={clearFilters}>
+                {t('works.clearFilters')}
+              </button>
+            )}
+          </div>
+        </div>
+        {projects.length === 0 && (
+          <p className="text-center no-results">{t('works.noResults')}</p>
+        )}
         <div className="projects-grid">
           {projects.map((project) => (
             <div key={project.id} className="project-card">
-              <div className="card-image">
-                <img src={project.image} alt={project.title} loading="lazy" />
-              </div>
+              <Link to={`/works/${project.id}`} className="card-image" tabIndex={-1} aria-hidden="true">
+                <img src={project.image} alt="" loading="lazy" />
+              </Link>
               <div className="card-body">
-                <h5 className="card-title">{project.title}</h5>
+                <h5 className="card-title">
+                  <Link to={`/works/${project.id}`}>{project.title}</Link>
+                </h5>
                 <p className="card-text">{project.description}</p>
                 {project.technologies && (
                   <div className="technologies">
-                    <p className="tech-label">Technologies Used:</p>
+                    <p className="tech-label">{t('works.techLabel')}</p>
                     <ul className="tech-list">
-                      {project.technologies.map((tech, index) => (
-                        <li key={index}>{tech}</li>
+                      {project.technologies.map((tech) => (
+                        <li key={tech} className={selectedTech.includes(tech) ? 'matched' : ''}>{tech}</li>
                       ))}
                     </ul>
                   </div>
                 )}
                 {project.note && (
-                  <p className={`note ${project.id === 2 ? 'text-danger' : 'text-primary'}`}>
+                  <p className={`note ${project.noteTone === 'danger' ? 'text-danger' : 'text-primary'}`}>
                     {project.note}
                   </p>
                 )}
+                <Link to={`/works/${project.id}`} className="case-study-link">
+                  {t('works.caseStudyLink')} &rarr;
+                </Link>
               </div>
             </div>
           ))}
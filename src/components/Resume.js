@@ -0,0 +1,111 @@
+import React from 'react';
+import './Resume.css';
+import { getExperiences, getProfile, getSkillCategories, getSkills, getSocials, parseExperienceTitle } from '../content';
+import { localizePath } from '../i18n';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
+import { personSchema } from '../seo/structuredData';
+
+/*
+  The About data as a one- to two-page CV.
+  - The print stylesheet in Resume.css lays it out for A4 and hides the site chrome.
+  - The downloads (resume.pdf, resume.json in the JSON Resume format and the
+    contact.vcf vCard) are written from the same content after each build by
+    scripts/generate-resume.js.
+*/
+
+const publicUrl = process.env.PUBLIC_URL || '';
+
+const displayUrl = (url) => url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+const Resume = () => {
+  const { locale, t } = useI18n();
+  const profile = getProfile();
+
+  usePageMeta({
+    title: t('meta.resume.title'),
+    description: t('meta.resume.description'),
+    type: 'profile',
+    jsonLd: personSchema()
+  });
+
+  return (
+    <section className="resume-section">
+      <div className="resume-actions" aria-label={t('resume.actions')} role="group">
+        <a className="btn btn-outline-dark" href={`${publicUrl}${localizePath('/resume.pdf', locale)}`} download>
+          <i className="fa fa-download" aria-hidden="true"></i> {t('resume.download')}
+        </a>
+        <a className="btn btn-outline-dark" href={`${publicUrl}${localizePath('/resume.json', locale)}`} download>
+          <i className="fa fa-file-code-o" aria-hidden="true"></i> {t('resume.downloadJson')}
+        </a>
+        <a className="btn btn-outline-dark" href={`${publicUrl}/contact.vcf`} download>
+          <i className="fa fa-address-card-o" aria-hidden="true"></i> {t('resume.downloadVcard')}
+        </a>
+        <button type="button" className="btn btn-outline-dark" onClick={() => window.print()}>
+          <i className="fa fa-print" aria-hidden="true"></i> {t('resume.print')}
+        </button>
+      </div>
+
+      <article className="resume-sheet">
+        <header className="resume-header">
+          <h1>{profile.name}</h1>
+          {profile.jobTitle && <p className="resume-job-title">{profile.jobTitle}</p>}
+          <ul className="resume-contacts">
+            <li>
+              <a href={`mailto:${profile.email}`}>{profile.email}</a>
+            </li>
+            {getSocials().map((social) => (
+              <li key={social.id}>
+                <a href={social.url} target="_blank" rel="noopener noreferrer">
+                  {displayUrl(social.url)}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </header>
+
+        <section className="resume-block" aria-labelledby="resume-summary">
+          <h2 id="resume-summary">{t('resume.summary')}</h2>
+          <p>{t('about.intro.tech')}</p>
+        </section>
+
+        <section className="resume-block" aria-labelledby="resume-experience">
+          <h2 id="resume-experience">{t('about.experiencesTitle')}</h2>
+          {getExperiences().map((experience) => {
+            const { role, organization, period } = parseExperienceTitle(experience.title);
+            return (
+              <div key={experience.id} className="resume-entry">
+                <div className="resume-entry-header">
+                  <h3>
+                    {role}
+                    {organization && <span className="resume-organization"> · {organization}</span>}
+                  </h3>
+                  <p className="resume-period">{period}</p>
+                </div>
+                <ul>
+                  {experience.details.map((detail, index) => (
+                    <li key={index}>{detail}</li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </section>
+
+        <section className="resume-block" aria-labelledby="resume-skills">
+          <h2 id="resume-skills">{t('about.skillsTitle')}</h2>
+          <dl className="resume-skills">
+            {getSkillCategories().map((category) => (
+              <div key={category.id} className="resume-skill-group">
+                <dt>{category.title}</dt>
+                <dd>{getSkills(category.id).map((skill) => skill.name).join(', ')}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+      </article>
+    </section>
+  );
+};
+
+export default Resume;
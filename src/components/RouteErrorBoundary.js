@@ -0,0 +1,66 @@
+import React, { Component } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import './RouteErrorBoundary.css';
+import { reportError } from '../errors';
+import { useI18n } from '../i18n/I18nProvider';
+
+const ErrorFallback = ({ onRetry }) => {
+  const { t } = useI18n();
+
+  return (
+    <section className="error-page" role="alert">
+      <div className="error-container">
+        <h1>{t('error.title')}</h1>
+        <p>{t('error.message')}</p>
+        <div className="error-actions">
+          <button type="button" className="btn-error-primary" onClick={onRetry}>
+            {t('error.retry')}
+          </button>
+          <Link to="/" className="btn-error-secondary">
+            {t('error.home')}
+          </Link>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+// Error boundaries have to be classes; `resetKey` clears the error when it changes
+class ErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    reportError(error, 'boundary', { componentStack: info.componentStack });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) this.setState({ error: null });
+  }
+
+  // A code-split chunk that failed to load stays failed (and may be gone after a
+  // deploy), so that case reloads the page; anything else renders again
+  retry = () => {
+    if (this.state.error.name === 'ChunkLoadError') window.location.reload();
+    else this.setState({ error: null });
+  };
+
+  render() {
+    if (this.state.error) return <ErrorFallback onRetry={this.retry} />;
+    return this.props.children;
+  }
+}
+
+// Keeps a render error in one page from blanking the app; moving to another page recovers
+const RouteErrorBoundary = ({ children }) => {
+  const { pathname } = useLocation();
+  return <ErrorBoundary resetKey={pathname}>{children}</ErrorBoundary>;
+};
+
+export default RouteErrorBoundary;
@@ -2,11 +2,13 @@ import { useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 
 const ScrollToTop = () => {
-  const { pathname } = useLocation();
+  const { pathname, state } = useLocation();
+  // Overlays such as the gallery lightbox change the URL without leaving the page
+  const preserveScroll = Boolean(state && state.preserveScroll);
 
   useEffect(() => {
-    window.scrollTo(0, 0);
-  }, [pathname]);
+    if (!preserveScroll) window.scrollTo(0, 0);
+  }, [pathname, preserveScroll]);
 
   return null;
 };
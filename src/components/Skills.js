@@ -0,0 +1,240 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import './Skills.css';
+import { getSkillCategories, getSkillProjects, getSkills } from '../content';
+import { useI18n } from '../i18n/I18nProvider';
+
+/*
+  Skills from about.json, one card per category.
+  - "Bars" shows a meter per skill; "Chart" shows a radar of the category's
+    proficiencies, with the same skills listed beside it.
+  - Every rated skill is a role="meter", so both views read the same to
+    assistive technology; the bars and the chart are decoration.
+  - Proficiency, years and last used are optional in about.json and only
+    shown when set; unrated skills are listed by name.
+  - Bars fill in once the section scrolls into view (a CSS transition on the
+    `visible` class; instant with reduced motion).
+*/
+
+const MAX_PROFICIENCY = 100;
+const VIEWS = ['bars', 'chart'];
+// Radar geometry, in SVG units around a (0, 0) center
+const RADAR_RADIUS = 80;
+const RADAR_LABEL_GAP = 12;
+const RADAR_RINGS = 5;
+const RADAR_LINE_CHARS = 12;
+
+const radarPoint = (index, count, radius) => {
+  const angle = -Math.PI / 2 + (2 * Math.PI * index) / count;
+  return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+};
+
+const polygon = (points) => points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+// Long axis labels ("SQL Injection Testing") break into two lines at the middle space
+const labelLines = (name) => {
+  if (name.length <= RADAR_LINE_CHARS || !name.includes(' ')) return [name];
+  const words = name.split(' ');
+  let best = 1;
+  words.forEach((_, index) => {
+    const split = (at) => Math.abs(words.slice(0, at).join(' ').length - words.slice(at).join(' ').length);
+    if (index > 0 && split(index) < split(best)) best = index;
+  });
+  return [words.slice(0, best).join(' '), words.slice(best).join(' ')];
+};
+
+const SkillRadar = ({ skills, title, titleId }) => {
+  const count = skills.length;
+  const rings = Array.from({ length: RADAR_RINGS }, (_, ring) =>
+    polygon(skills.map((_, index) => radarPoint(index, count, (RADAR_RADIUS * (ring + 1)) / RADAR_RINGS)))
+  );
+  const shape = polygon(
+    skills.map((skill, index) => radarPoint(index, count, (RADAR_RADIUS * skill.proficiency) / MAX_PROFICIENCY))
+  );
+
+  return (
+    <svg className="skill-radar" viewBox="-150 -120 300 240" role="img" aria-labelledby={titleId}>
+      <title id={titleId}>{title}</title>
+      {rings.map((points, ring) => (
+        <polygon key={ring} className="skill-radar-ring" points={points} />
+      ))}
+      {skills.map((skill, index) => {
+        const [x, y] = radarPoint(index, count, RADAR_RADIUS);
+        const [labelX, labelY] = radarPoint(index, count, RADAR_RADIUS + RADAR_LABEL_GAP);
+        const anchor = Math.abs(labelX) < 1 ? 'middle' : labelX > 0 ? 'start' : 'end';
+        const lines = labelLines(skill.name);
+        // Labels above the chart grow upwards, labels below it downwards
+        const firstLine = labelY < -1 ? -(lines.length - 1) * 1.1 : labelY > 1 ? 0.7 : 0.35 - (lines.length - 1) * 0.55;
+        return (
+          <g key={skill.id}>
+            <line className="skill-radar-axis" x1="0" y1="0" x2={x.toFixed(1)} y2={y.toFixed(1)} />
+            <text className="skill-radar-label" x={labelX.toFixed(1)} y={labelY.toFixed(1)} textAnchor={anchor}>
+              {lines.map((line, lineIndex) => (
+                <tspan key={lineIndex} x={labelX.toFixed(1)} dy={`${lineIndex === 0 ? firstLine : 1.1}em`}>
+                  {line}
+                </tspan>
+              ))}
+            </text>
+          </g>
+        );
+      })}
+      <polygon className="skill-radar-shape" points={shape} />
+    </svg>
+  );
+};
+
+const Skills = () => {
+  const { locale, t } = useI18n();
+  const [category, setCategory] = useState('all');
+  const [view, setView] = useState('bars');
+  const skillsRef = useRef(null);
+  const categories = getSkillCategories();
+  const shownCategories = category === 'all' ? categories : categories.filter((entry) => entry.id === category);
+
+  useEffect(() => {
+    const node = skillsRef.current; // capture once
+    if (!node) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+          }
+        });
+      },
+      { threshold: 0.1 }
+    );
+
+    observer.observe(node);
+
+    return () => {
+      observer.unobserve(node); // safe, stable reference
+    };
+  }, []);
+
+  // "2025" or "Mar 2025"
+  const formatLastUsed = (value) => {
+    const [year, month] = value.split('-').map(Number);
+    if (!month) return String(year);
+    return new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' }).format(
+      new Date(Date.UTC(year, month - 1))
+    );
+  };
+
+  const filters = [{ id: 'all', title: t('about.skills.all') }, ...categories];
+
+  return (
+    <div className="skills-section mb-4" ref={skillsRef}>
+      <h1 className="text-center mb-4">{t('about.skillsTitle')}</h1>
+
+      <div className="skills-toolbar">
+        <div className="skills-chips" role="group" aria-label={t('about.skills.filterLabel')}>
+          {filters.map((filter) => (
+            <button
+              key={filter.id}
+              type="button"
+              className={`skills-chip ${category === filter.id ? 'active' : ''}`}
+              aria-pressed={category === filter.id}
+              onClick={() => setCategory(filter.id)}
+            >
+              {filter.title}
+            </button>
+          ))}
+        </div>
+        <div className="skills-chips" role="group" aria-label={t('about.skills.viewLabel')}>
+          {VIEWS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`skills-chip ${view === option ? 'active' : ''}`}
+              aria-pressed={view === option}
+              onClick={() => setView(option)}
+            >
+              <i className={`fa ${option === 'bars' ? 'fa-bar-chart' : 'fa-bullseye'}`} aria-hidden="true"></i>{' '}
+              {t('about.skills.view', { view: option })}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className={`skills-grid ${shownCategories.length === 1 ? 'single' : ''}`}>
+        {shownCategories.map((entry) => {
+          const skills = getSkills(entry.id);
+          // Only rated skills can be charted; unrated ones are listed by name
+          const rated = skills.filter((skill) => skill.proficiency !== undefined);
+          const chart = view === 'chart' && rated.length >= 3;
+          return (
+            <section
+              key={entry.id}
+              className={`skill-card ${chart ? 'chart-view' : ''}`}
+              aria-labelledby={`skills-${entry.id}`}
+              style={{ '--skill-color': `var(--color-skill-${entry.color})` }}
+            >
+              <h2 id={`skills-${entry.id}`} className="card-title text-center mt-4 mb-4 h5">
+                {entry.title}
+              </h2>
+              <img src={entry.image} alt="" className="skill-icon" />
+              {chart && (
+                <SkillRadar
+                  skills={rated}
+                  title={t('about.skills.chartTitle', { category: entry.title })}
+                  titleId={`skills-${entry.id}-chart`}
+                />
+              )}
+              <ul className="skill-list">
+                {skills.map((skill, index) => {
+                  const hasLevel = skill.proficiency !== undefined;
+                  const projects = getSkillProjects(skill);
+                  const details = [
+                    skill.years !== undefined && t('about.skills.years', { years: skill.years }),
+                    skill.lastUsed && t('about.skills.lastUsed', { date: formatLastUsed(skill.lastUsed) })
+                  ].filter(Boolean);
+                  return (
+                    <li key={skill.id} className="skill-item" style={{ '--index': index }}>
+                      <div className="skill-label">
+                        <span className="skill-name" id={`skill-${skill.id}`}>{skill.name}</span>
+                        {hasLevel && <span className="skill-level" aria-hidden="true">{skill.proficiency}%</span>}
+                      </div>
+                      {hasLevel && (
+                        <div
+                          className="skill-meter"
+                          role="meter"
+                          aria-labelledby={`skill-${skill.id}`}
+                          aria-valuemin={0}
+                          aria-valuemax={MAX_PROFICIENCY}
+                          aria-valuenow={skill.proficiency}
+                        >
+                          <div className="skill-meter-fill" style={{ '--level': skill.proficiency / MAX_PROFICIENCY }}></div>
+                        </div>
+                      )}
+                      {(details.length > 0 || projects.length > 0) && (
+                        <p className="skill-meta">
+                          {details.join(' · ')}
+                          {projects.length > 0 && (
+                            <>
+                              {details.length > 0 && ' · '}
+                              {t('about.skills.usedIn')}{' '}
+                              {projects.map((project, projectIndex) => (
+                                <React.Fragment key={project.id}>
+                                  {projectIndex > 0 && ', '}
+                                  <Link to={`/works/${project.id}`}>{project.title}</Link>
+                                </React.Fragment>
+                              ))}
+                            </>
+                          )}
+                        </p>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Skills;
@@ -0,0 +1,12 @@
+import { useEffect } from 'react';
+import transport from '../contact/transport';
+import { startQueue } from '../contact/queue';
+
+// Retries queued contact submissions in the background for as long as the app is open
+const SubmissionQueue = () => {
+  useEffect(() => startQueue(transport), []);
+
+  return null;
+};
+
+export default SubmissionQueue;
@@ -1,16 +1,20 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import './ThankYou.css';
+import { useI18n } from '../i18n/I18nProvider';
+import usePageMeta from '../seo/usePageMeta';
 
 const ThankYou = () => {
+  const { t } = useI18n();
+  usePageMeta({ title: t('meta.thankYou.title'), noindex: true });
   return (
     <div className="thank-you-page">
       <div className="thank-you-container">
-        <h1>Thank You!</h1>
-        <p>Your message has been sent successfully. I'll get back to you as soon as possible.</p>
-        <p className="signature">- Allysa 🫶</p>
+        <h1>{t('thankYou.title')}</h1>
+        <p>{t('thankYou.message')}</p>
+        <p className="signature">{t('thankYou.signature')}</p>
         <Link to="/" className="btn-home">
-          Return to Home
+          {t('thankYou.home')}
         </Link>
       </div>
     </div>
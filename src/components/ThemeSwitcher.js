@@ -0,0 +1,31 @@
+import React from 'react';
+import useTheme, { THEME_PREFERENCES } from '../hooks/useTheme';
+import { useI18n } from '../i18n/I18nProvider';
+
+// Picks the color theme; "System" follows the visitor's OS setting
+const ThemeSwitcher = () => {
+  const { preference, setPreference } = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <div className="theme-switcher">
+      <label htmlFor="theme-select" className="visually-hidden">
+        {t('nav.theme')}
+      </label>
+      <select
+        id="theme-select"
+        className="theme-select"
+        value={preference}
+        onChange={(e) => setPreference(e.target.value)}
+      >
+        {THEME_PREFERENCES.map((id) => (
+          <option key={id} value={id}>
+            {t('nav.themeOption', { theme: id })}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ThemeSwitcher;
@@ -0,0 +1,17 @@
+// Contact form settings, overridable per environment through REACT_APP_* variables
+const contactConfig = {
+  // formspree | netlify | webhook | memory
+  transport: process.env.REACT_APP_CONTACT_TRANSPORT || 'formspree',
+  formspree: {
+    formId: process.env.REACT_APP_FORMSPREE_ID || 'mblganbk'
+  },
+  netlify: {
+    formName: process.env.REACT_APP_NETLIFY_FORM_NAME || 'contact'
+  },
+  webhook: {
+    url: process.env.REACT_APP_CONTACT_WEBHOOK_URL || ''
+  },
+  memory: {}
+};
+
+export default contactConfig;
@@ -0,0 +1,109 @@
+import { getAddons, getBudgetRanges, getPackage, getTimelines } from '../content';
+import { LIMITS, encodeHtmlEntities, sanitizeMessage, validateField } from './validation';
+
+/*
+  Structured inquiry built step by step from the Services packages.
+  Like validation.js, step validators return field -> { code, message } so the
+  wizard can render errors inline; the wizard words them from the message
+  catalog by code, and the English messages are the fallback.
+*/
+
+// Titled in the wizard by id (the `inquiry.step` message)
+export const INQUIRY_STEPS = [
+  { id: 'package' },
+  { id: 'addons' },
+  { id: 'scope' },
+  { id: 'contact' },
+  { id: 'review' }
+];
+
+export const EMPTY_INQUIRY = {
+  package: '',
+  addons: [],
+  timeline: '',
+  budget: '',
+  name: '',
+  email: '',
+  notes: '',
+  // Set on the first send and kept, with the draft, until the inquiry is sent,
+  // so retries (even after a reload) reuse it
+  submissionId: null
+};
+
+const required = (message) => ({ code: 'required', message });
+
+const labelOf = (list, id) => (list.find((item) => item.id === id) || {}).label || id;
+
+const stepValidators = {
+  package: (data) => (getPackage(data.package) ? {} : { package: required('Please choose a package.') }),
+  addons: (data) => {
+    const known = getAddons().map((addon) => addon.id);
+    return data.addons.every((id) => known.includes(id))
+      ? {}
+      : { addons: { code: 'unknown_addon', message: 'Please pick add-ons from the list.' } };
+  },
+  scope: (data) => {
+    const errors = {};
+    if (!getTimelines().some((t) => t.id === data.timeline)) errors.timeline = required('Please choose a timeline.');
+    if (!getBudgetRanges().some((b) => b.id === data.budget)) errors.budget = required('Please choose a budget range.');
+    return errors;
+  },
+  contact: (data) => {
+    const errors = {};
+    ['name', 'email'].forEach((field) => {
+      const problem = validateField(field, data[field]);
+      if (problem) errors[field] = problem;
+    });
+    if (data.notes.length > LIMITS.message) {
+      errors.notes = { code: 'too_long', message: `Please keep your notes under ${LIMITS.message} characters.` };
+    }
+    return errors;
+  },
+  review: () => ({})
+};
+
+export const validateStep = (stepId, data) => stepValidators[stepId](data);
+
+// Index of the first step with errors, or -1 when the whole inquiry is valid
+export const firstInvalidStep = (data) =>
+  INQUIRY_STEPS.findIndex((step) => Object.keys(validateStep(step.id, data)).length > 0);
+
+// Human-readable labels for the review step (in the visitor's `locale`) and
+// the message body (in English, for the site owner)
+export const describeInquiry = (data, locale) => {
+  const pkg = getPackage(data.package, locale);
+  return {
+    package: pkg ? pkg.title : '',
+    addons: data.addons.map((id) => labelOf(getAddons(locale), id)),
+    timeline: labelOf(getTimelines(locale), data.timeline),
+    budget: labelOf(getBudgetRanges(locale), data.budget)
+  };
+};
+
+/*
+  Payload sent through the contact transport. The structured fields are for
+  whoever processes submissions automatically; `message` repeats them as text
+  so the inquiry also reads well in a plain email notification.
+*/
+export const buildInquiryPayload = (data) => {
+  const labels = describeInquiry(data);
+  const summary = [
+    `Package: ${labels.package}`,
+    `Add-ons: ${labels.addons.length ? labels.addons.join(', ') : 'None'}`,
+    `Timeline: ${labels.timeline}`,
+    `Budget: ${labels.budget}`
+  ];
+  if (data.notes.trim()) summary.push(`Notes: ${data.notes.trim()}`);
+
+  return {
+    type: 'inquiry',
+    name: encodeHtmlEntities(data.name.trim()).slice(0, LIMITS.name),
+    email: data.email.trim().slice(0, LIMITS.email),
+    package: data.package,
+    addons: data.addons,
+    timeline: data.timeline,
+    budget: data.budget,
+    // sanitizeMessage collapses whitespace, so the parts are joined inline
+    message: sanitizeMessage(summary.join('; '))
+  };
+};
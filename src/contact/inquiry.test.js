@@ -0,0 +1,57 @@
+import { EMPTY_INQUIRY, buildInquiryPayload, describeInquiry } from './inquiry';
+
+/*
+  The content loader pulls images in through webpack's require.context, so the
+  collections inquiry.js reads are rebuilt here from services.json (with the
+  Filipino overrides merged by id, as the loader does).
+*/
+jest.mock('../content', () => {
+  const services = jest.requireActual('../content/services.json');
+  const fil = jest.requireActual('../content/locales/fil/services.json');
+  const localized = (name, locale) =>
+    services[name].map((entry) => ({
+      ...entry,
+      ...(locale === 'fil' ? fil[name].find((override) => override.id === entry.id) : {})
+    }));
+  return {
+    getPackage: (id, locale) => localized('packages', locale).find((pkg) => pkg.id === id) || null,
+    getAddons: (locale) => localized('addons', locale),
+    getTimelines: (locale) => localized('timelines', locale),
+    getBudgetRanges: (locale) => localized('budgetRanges', locale)
+  };
+});
+
+const inquiry = (overrides) => ({
+  ...EMPTY_INQUIRY,
+  package: 'simple-ecommerce',
+  addons: ['additional-pages', 'additional-products', 'maintenance'],
+  ...overrides
+});
+
+describe('describeInquiry', () => {
+  const chosen = { addons: ['maintenance'], timeline: 'asap', budget: 'not-sure' };
+
+  it('labels the choices in the given locale', () => {
+    expect(describeInquiry(inquiry(chosen), 'fil')).toEqual({
+      package: 'Simpleng E-commerce Website',
+      addons: ['Buwanang maintenance at update'],
+      timeline: 'Sa lalong madaling panahon',
+      budget: 'Hindi pa sigurado'
+    });
+  });
+
+  it('uses English without a locale', () => {
+    expect(describeInquiry(inquiry(chosen)).package).toBe('Simple E-commerce Website');
+  });
+});
+
+describe('buildInquiryPayload', () => {
+  it('sends the choices by id and repeats them in English in the message', () => {
+    const payload = buildInquiryPayload(
+      inquiry({ addons: ['maintenance'], timeline: 'asap', budget: 'not-sure', name: 'Maria', email: 'maria@example.com' })
+    );
+    expect(payload).toMatchObject({ type: 'inquiry', package: 'simple-ecommerce', addons: ['maintenance'], timeline: 'asap' });
+    expect(payload.message).toContain('Package: Simple E-commerce Website');
+    expect(payload.message).toContain('Timeline: As soon as possible');
+  });
+});
@@ -0,0 +1,211 @@
+import { REJECTED, SUCCESS, VALIDATION_ERROR } from './transports';
+
+/*
+  Offline/retry queue for contact submissions.
+  - Submissions that fail with a network_error are kept in localStorage and
+    retried with exponential backoff, and straight away when the browser
+    reports it is back online.
+  - Entries are keyed by the client-generated `submissionId` carried in the
+    payload, so submitting the same message twice only queues it once.
+  - A validation_error or rejected result will not go away by retrying, so
+    those entries are dropped.
+  - Tabs share the queue: one tab at a time flushes it (a Web Lock, or a
+    short-lived lease in localStorage where Web Locks are missing), and
+    'sent'/'dropped' events reach the listeners in every tab.
+*/
+
+const STORAGE_KEY = 'contact-queue';
+const LOCK_NAME = 'contact-queue-flush';
+const LEASE_KEY = 'contact-queue-lease';
+const LEASE_TIME = 60 * 1000;
+const BASE_DELAY = 5000;
+const MAX_DELAY = 15 * 60 * 1000;
+
+const listeners = new Set();
+let flushing = false;
+
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('contact-queue') : null;
+if (channel) {
+  channel.onmessage = (message) => listeners.forEach((listener) => listener(message.data));
+}
+
+const read = () => {
+  try {
+    const entries = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(entries) ? entries : [];
+  } catch (_) {
+    return [];
+  }
+};
+
+const write = (entries) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (_) {
+    // Storage full or disabled (private mode): the entry only lives until reload
+  }
+};
+
+// When the earliest queued entry is due, or null when the queue is empty
+const nextDue = () => {
+  const entries = read();
+  return entries.length ? Math.min(...entries.map((item) => item.nextAttemptAt)) : null;
+};
+
+const emit = (event) => {
+  listeners.forEach((listener) => listener(event));
+  if (channel && event.type !== 'queued') channel.postMessage(event);
+};
+
+const readLease = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(LEASE_KEY));
+  } catch (_) {
+    return null;
+  }
+};
+
+// Fallback lock: claim the lease unless another tab holds an unexpired one, then
+// read it back in case another tab claimed it at the same moment
+const withLease = async (task) => {
+  const lease = readLease();
+  if (lease && lease.owner !== tabId && lease.expiresAt > Date.now()) return { locked: true };
+  try {
+    window.localStorage.setItem(LEASE_KEY, JSON.stringify({ owner: tabId, expiresAt: Date.now() + LEASE_TIME }));
+  } catch (_) {
+    // Storage disabled: there is no shared queue to guard either
+  }
+  const claimed = readLease();
+  if (claimed && claimed.owner !== tabId) return { locked: true };
+  try {
+    return { value: await task() };
+  } finally {
+    const current = readLease();
+    if (current && current.owner === tabId) window.localStorage.removeItem(LEASE_KEY);
+  }
+};
+
+// Runs `task` unless another tab holds the flush lock; resolves with { value } or { locked: true }
+const withFlushLock = (task) =>
+  navigator.locks
+    ? navigator.locks.request(LOCK_NAME, { ifAvailable: true }, async (lock) =>
+        lock ? { value: await task() } : { locked: true }
+      )
+    : withLease(task);
+
+// 5s, 10s, 20s, ... capped at 15 minutes
+export const backoffDelay = (attempts) => Math.min(BASE_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_DELAY);
+
+export const createSubmissionId = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Owner of this tab's flush lease
+const tabId = createSubmissionId();
+
+export const getQueued = () => read();
+
+// Queue a payload (which must carry `submissionId`) after a failed attempt;
+// returns false if it was already queued, after updating the queued payload
+export const enqueue = (payload, now = Date.now()) => {
+  const entries = read();
+  if (entries.some((entry) => entry.id === payload.submissionId)) {
+    write(entries.map((entry) => (entry.id === payload.submissionId ? { ...entry, payload } : entry)));
+    return false;
+  }
+  const entry = { id: payload.submissionId, payload, attempts: 1, nextAttemptAt: now + backoffDelay(1), createdAt: now };
+  write([...entries, entry]);
+  emit({ type: 'queued', id: entry.id, nextAttemptAt: entry.nextAttemptAt });
+  return true;
+};
+
+// Forget a queued submission that has since been sent some other way
+export const dequeue = (id) => {
+  const entries = read();
+  if (entries.some((entry) => entry.id === id)) write(entries.filter((entry) => entry.id !== id));
+};
+
+// Listen for { type: 'queued' | 'sent' | 'dropped' | 'retrying', id } events
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const FINAL = [SUCCESS, VALIDATION_ERROR, REJECTED];
+
+const sendDue = async (transport, { now, force }) => {
+  for (const entry of read().filter((item) => force || item.nextAttemptAt <= now)) {
+    const result = await transport.send(entry.payload);
+    // Re-read: an enqueue may have changed storage while we awaited
+    const entries = read();
+    if (FINAL.includes(result.status)) {
+      write(entries.filter((item) => item.id !== entry.id));
+      emit({ type: result.status === SUCCESS ? 'sent' : 'dropped', id: entry.id });
+    } else {
+      const attempts = entry.attempts + 1;
+      write(entries.map((item) =>
+        item.id === entry.id ? { ...item, attempts, nextAttemptAt: Date.now() + backoffDelay(attempts) } : item
+      ));
+      emit({ type: 'retrying', id: entry.id });
+    }
+  }
+};
+
+// Try every entry that is due (or every entry with `force`); resolves with the
+// time the next one is due, null when the queue is empty, or undefined when a
+// flush was already running in this tab. While another tab is flushing, the
+// entries are checked again after the base delay.
+export const flush = async (transport, { now = Date.now(), force = false } = {}) => {
+  if (flushing) return undefined;
+  flushing = true;
+  let attempt;
+  try {
+    attempt = await withFlushLock(() => sendDue(transport, { now, force }));
+  } finally {
+    flushing = false;
+  }
+  const nextAt = nextDue();
+  if (nextAt === null) return null;
+  return attempt.locked ? Math.max(nextAt, Date.now() + BASE_DELAY) : nextAt;
+};
+
+/*
+  Keep the queue moving while the app is open: flush now, when connectivity
+  returns, and whenever the next retry is due. Returns a cleanup function.
+*/
+export const startQueue = (transport) => {
+  let timer = null;
+  let stopped = false;
+
+  const schedule = (nextAt) => {
+    window.clearTimeout(timer);
+    if (stopped || nextAt === null) return;
+    timer = window.setTimeout(run, Math.max(nextAt - Date.now(), 0));
+  };
+
+  const run = async (force = false) => {
+    if (!navigator.onLine) return; // the 'online' event will pick it up
+    const nextAt = await flush(transport, { force });
+    if (nextAt !== undefined) schedule(nextAt);
+  };
+
+  // Back online: don't wait out the backoff
+  const onOnline = () => run(true);
+
+  // A new entry may be due later than one already waiting; keep the earliest
+  const onQueued = (event) => {
+    if (event.type === 'queued') schedule(nextDue());
+  };
+
+  const unsubscribe = subscribe(onQueued);
+  window.addEventListener('online', onOnline);
+  run();
+
+  return () => {
+    stopped = true;
+    unsubscribe();
+    window.clearTimeout(timer);
+    window.removeEventListener('online', onOnline);
+  };
+};
@@ -0,0 +1,121 @@
+import { createMemoryTransport, failedResponse, networkError, rejected, validationError } from './transports';
+import { backoffDelay, dequeue, enqueue, flush, getQueued, startQueue, subscribe } from './queue';
+
+const payload = (submissionId, message = 'Hello there, I would like a website.') => ({ submissionId, message });
+
+const collectEvents = () => {
+  const events = [];
+  const unsubscribe = subscribe((event) => events.push(event));
+  return { events, unsubscribe };
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('failedResponse', () => {
+  it('retries timeouts, rate limits and server errors', () => {
+    [408, 429, 500, 503].forEach((status) => expect(failedResponse({ status }).status).toBe('network_error'));
+  });
+
+  it('treats any other 4xx as permanent', () => {
+    [401, 403, 404, 405, 410].forEach((status) => expect(failedResponse({ status }).status).toBe('rejected'));
+  });
+});
+
+describe('enqueue', () => {
+  it('queues a submission once per id, keeping the latest payload', () => {
+    expect(enqueue(payload('a'), 0)).toBe(true);
+    expect(enqueue(payload('a', 'Edited message, still the same one.'), 10)).toBe(false);
+    const queued = getQueued();
+    expect(queued).toHaveLength(1);
+    expect(queued[0]).toMatchObject({ id: 'a', attempts: 1, nextAttemptAt: backoffDelay(1) });
+    expect(queued[0].payload.message).toBe('Edited message, still the same one.');
+  });
+
+  it('forgets a submission sent some other way', () => {
+    enqueue(payload('a'), 0);
+    dequeue('a');
+    expect(getQueued()).toEqual([]);
+  });
+});
+
+describe('flush', () => {
+  it('sends due entries and drops permanent failures', async () => {
+    const results = { sent: { status: 'success' }, invalid: validationError({}), refused: rejected() };
+    const transport = createMemoryTransport({ respond: (item) => results[item.submissionId] });
+    Object.keys(results).forEach((id) => enqueue(payload(id), 0));
+    const { events, unsubscribe } = collectEvents();
+
+    await expect(flush(transport, { now: backoffDelay(1) })).resolves.toBeNull();
+    unsubscribe();
+    expect(transport.sent.map((item) => item.submissionId)).toEqual(['sent', 'invalid', 'refused']);
+    expect(events).toEqual([
+      { type: 'sent', id: 'sent' },
+      { type: 'dropped', id: 'invalid' },
+      { type: 'dropped', id: 'refused' }
+    ]);
+    expect(getQueued()).toEqual([]);
+  });
+
+  it('keeps network errors with a longer backoff and the same id', async () => {
+    const transport = createMemoryTransport({ respond: () => networkError() });
+    enqueue(payload('a'), 0);
+
+    const nextAt = await flush(transport, { now: backoffDelay(1) });
+    const [entry] = getQueued();
+    expect(entry).toMatchObject({ id: 'a', attempts: 2 });
+    expect(entry.payload.submissionId).toBe('a');
+    expect(nextAt).toBe(entry.nextAttemptAt);
+    expect(nextAt).toBeGreaterThanOrEqual(Date.now() + backoffDelay(2) - 1000);
+  });
+
+  it('leaves entries that are not due yet unless forced', async () => {
+    const transport = createMemoryTransport();
+    enqueue(payload('a'), 1000);
+
+    await flush(transport, { now: 1000 });
+    expect(transport.sent).toHaveLength(0);
+    await flush(transport, { now: 1000, force: true });
+    expect(transport.sent).toHaveLength(1);
+  });
+
+  it('skips the queue while another tab holds the flush lease', async () => {
+    const transport = createMemoryTransport();
+    enqueue(payload('a'), 0);
+    window.localStorage.setItem('contact-queue-lease', JSON.stringify({ owner: 'other-tab', expiresAt: Date.now() + 60000 }));
+
+    const nextAt = await flush(transport, { now: backoffDelay(1) });
+    expect(transport.sent).toHaveLength(0);
+    expect(getQueued()).toHaveLength(1);
+    expect(nextAt).toBeGreaterThan(Date.now());
+
+    window.localStorage.setItem('contact-queue-lease', JSON.stringify({ owner: 'other-tab', expiresAt: Date.now() - 1 }));
+    await flush(transport, { now: backoffDelay(1) });
+    expect(transport.sent).toHaveLength(1);
+    expect(window.localStorage.getItem('contact-queue-lease')).toBeNull();
+  });
+});
+
+describe('startQueue', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('schedules the next flush for the earliest entry, not the one just queued', () => {
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const setTimeoutSpy = jest.spyOn(window, 'setTimeout');
+    const now = Date.now();
+    window.localStorage.setItem(
+      'contact-queue',
+      JSON.stringify([{ id: 'a', payload: payload('a'), attempts: 3, nextAttemptAt: now + 1000, createdAt: now }])
+    );
+    const stop = startQueue(createMemoryTransport());
+
+    enqueue(payload('b'), now);
+    stop();
+    const [, delay] = setTimeoutSpy.mock.calls[setTimeoutSpy.mock.calls.length - 1];
+    expect(delay).toBeLessThanOrEqual(1000);
+    expect(delay).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,7 @@
+import { createTransport } from './transports';
+import contactConfig from './config';
+
+// The transport chosen in src/contact/config.js, shared by the form and the retry queue
+const transport = createTransport(contactConfig);
+
+export default transport;
@@ -0,0 +1,31 @@
+import { CONTACT_FIELDS } from '../validation';
+import { failedResponse, networkError, post, readJson, success, toFieldErrors, validationError } from './results';
+
+// Formspree (https://formspree.io): JSON in, 200 on success, 422 with { errors: [...] } on bad input
+const createFormspreeTransport = ({ formId }) => {
+  const endpoint = `https://formspree.io/f/${formId}`;
+
+  return {
+    name: 'formspree',
+    async send(payload) {
+      const response = await post(endpoint, {
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+      if (!response) return networkError();
+      if (response.ok) return success();
+
+      const data = await readJson(response);
+      if (response.status === 422 || response.status === 400) {
+        const errors = toFieldErrors(data && data.errors, CONTACT_FIELDS);
+        return validationError(errors, data && data.error);
+      }
+      return failedResponse(response);
+    }
+  };
+};
+
+export default createFormspreeTransport;
@@ -0,0 +1,24 @@
+import createFormspreeTransport from './formspree';
+import createNetlifyTransport from './netlify';
+import createWebhookTransport from './webhook';
+import createMemoryTransport from './memory';
+
+export * from './results';
+
+const factories = {
+  formspree: createFormspreeTransport,
+  netlify: createNetlifyTransport,
+  webhook: createWebhookTransport,
+  memory: createMemoryTransport
+};
+
+// Build the adapter named by `config.transport` with its own options
+export const createTransport = (config) => {
+  const factory = factories[config.transport];
+  if (!factory) {
+    throw new Error(`Unknown contact transport "${config.transport}" (expected ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(config[config.transport] || {});
+};
+
+export { createFormspreeTransport, createNetlifyTransport, createWebhookTransport, createMemoryTransport };
@@ -0,0 +1,19 @@
+import { success } from './results';
+
+/*
+  In-memory transport for local development and tests: keeps every payload in
+  `sent` and answers with `respond(payload)` (a success result by default).
+*/
+const createMemoryTransport = ({ respond = () => success() } = {}) => {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    async send(payload) {
+      sent.push(payload);
+      return respond(payload);
+    }
+  };
+};
+
+export default createMemoryTransport;
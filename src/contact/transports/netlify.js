@@ -0,0 +1,21 @@
+import { failedResponse, networkError, post, success } from './results';
+
+/*
+  Netlify Forms: a url-encoded POST to the site itself. Netlify only accepts
+  forms it found at deploy time, so public/index.html carries a hidden copy
+  of the form with the same `form-name` and fields.
+*/
+const createNetlifyTransport = ({ formName, endpoint = '/' }) => ({
+  name: 'netlify',
+  async send(payload) {
+    const body = new URLSearchParams({ 'form-name': formName, ...payload });
+    const response = await post(endpoint, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString()
+    });
+    if (!response) return networkError();
+    return response.ok ? success() : failedResponse(response);
+  }
+});
+
+export default createNetlifyTransport;
@@ -0,0 +1,66 @@
+/*
+  Normalized transport results. Every adapter resolves (never rejects) with one of:
+  - { status: 'success' }
+  - { status: 'validation_error', errors, message }  errors: field -> { code, message }
+  - { status: 'network_error', message }             worth retrying later
+  - { status: 'rejected', message }                  refused for good; retrying won't help
+*/
+export const SUCCESS = 'success';
+export const VALIDATION_ERROR = 'validation_error';
+export const NETWORK_ERROR = 'network_error';
+export const REJECTED = 'rejected';
+
+export const success = () => ({ status: SUCCESS });
+
+export const validationError = (errors, message = 'Please check the highlighted fields.') => ({
+  status: VALIDATION_ERROR,
+  errors,
+  message
+});
+
+export const networkError = (message = 'There was an error sending your message. Please try again.') => ({
+  status: NETWORK_ERROR,
+  message
+});
+
+export const rejected = (message = 'The form service refused this submission.') => ({
+  status: REJECTED,
+  message
+});
+
+// Timeouts, rate limits and server errors may pass; any other 4xx (unknown
+// form, disabled endpoint, refused payload) fails the same way every time
+const RETRYABLE = [408, 429];
+
+// Result for a non-OK response the adapter has no more specific reading of
+export const failedResponse = (response) =>
+  response.status >= 500 || RETRYABLE.includes(response.status)
+    ? networkError(`Submission failed (status ${response.status})`)
+    : rejected(`Submission refused (status ${response.status})`);
+
+// Turn a provider's [{ field, code, message }] list into field -> { code, message };
+// problems not tied to a known field are collected under `form`
+export const toFieldErrors = (list, fields) =>
+  (list || []).reduce((acc, item) => {
+    const key = item.field && fields.includes(item.field) ? item.field : 'form';
+    if (!acc[key]) acc[key] = { code: item.code || 'invalid', message: item.message || String(item) };
+    return acc;
+  }, {});
+
+// POST helper shared by the HTTP adapters: resolves with the Response, or null when
+// the request never got an answer (offline, DNS, CORS, timeout)
+export const post = async (url, init) => {
+  try {
+    return await fetch(url, { method: 'POST', ...init });
+  } catch (_) {
+    return null;
+  }
+};
+
+export const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch (_) {
+    return null;
+  }
+};
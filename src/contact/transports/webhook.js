@@ -0,0 +1,30 @@
+import { CONTACT_FIELDS } from '../validation';
+import { failedResponse, networkError, post, readJson, success, toFieldErrors, validationError } from './results';
+
+/*
+  Generic JSON webhook (Zapier, Make, a serverless function, ...).
+  Any 2xx is a success; 400/422 may carry { errors: [{ field, code, message }] }.
+*/
+const createWebhookTransport = ({ url, headers = {} }) => ({
+  name: 'webhook',
+  async send(payload) {
+    const response = await post(url, {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(payload)
+    });
+    if (!response) return networkError();
+    if (response.ok) return success();
+
+    if (response.status === 422 || response.status === 400) {
+      const data = await readJson(response);
+      return validationError(toFieldErrors(data && data.errors, CONTACT_FIELDS), data && data.message);
+    }
+    return failedResponse(response);
+  }
+});
+
+export default createWebhookTransport;
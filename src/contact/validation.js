@@ -0,0 +1,158 @@
+/* -------------------------
+   Contact form sanitization & validation
+   - Lightweight utilities to strip dangerous input and enforce limits.
+   - Keep logic on client for UX and early rejection; the form service will still
+     perform its own server-side checks. Client-side checks are NOT a
+     substitute for server-side validation, but for this setup (no custom
+     backend) they provide defense-in-depth and better UX.
+   - Validators return `null` when a value is fine, otherwise `{ code, message }`
+     so the form can show the message inline and tests can assert on the code.
+   ------------------------- */
+
+export const LIMITS = {
+  name: 100,
+  email: 254,
+  message: 2000,
+  minMessage: 15, // humans usually write at least this many chars
+  minSeconds: 5 // submissions faster than this are treated as bots
+};
+
+export const ERRORS = {
+  required: 'This field is required.',
+  too_long: 'This is too long.',
+  invalid_name: 'Please enter a valid name (letters, spaces, and basic punctuation only).',
+  invalid_email: 'Please enter a valid email address.',
+  too_short: `Please provide a bit more detail in your message (at least ${LIMITS.minMessage} characters).`,
+  links_only: 'Please include some context in your message in addition to links.',
+  honeypot: 'Submission blocked: detected as spam.',
+  too_fast: 'Please take a moment to write your message before submitting.'
+};
+
+const error = (code, message = ERRORS[code]) => ({ code, message });
+
+// Remove HTML tags conservatively
+export const stripTags = (s) => {
+  if (!s) return '';
+  return String(s).replace(/<[^>]*>/g, '');
+};
+
+// Remove javascript: URIs and other suspicious patterns from text
+export const removeDangerousUris = (s) => {
+  if (!s) return '';
+  return s.replace(/javascript\s*:/gi, '').replace(/(?:on\w+)\s*=\s*['"][^'"]*['"]/gi, '');
+};
+
+// Encode HTML entities for characters that might be interpreted by downstream viewers
+export const encodeHtmlEntities = (s) => {
+  if (!s) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Basic email validation (not exhaustive RFC check, good UX/gate)
+export const isValidEmail = (s) => {
+  if (!s) return false;
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+};
+
+// Name allowlist: letters, spaces, basic punctuation. Reject very long names.
+export const isValidName = (s) => {
+  if (!s) return false;
+  // allow common accented latin letters, space, hyphen, apostrophe, dot
+  return /^[A-Za-zÀ-ÖØ-öø-ÿ'’.\-\s]{1,100}$/.test(s.trim());
+};
+
+// Strip markup and collapse whitespace, without entity encoding
+const cleanMessage = (s) =>
+  removeDangerousUris(stripTags(s)).replace(/\s+/g, ' ').trim();
+
+// Normalize and sanitize message before sending
+export const sanitizeMessage = (s, maxLen = LIMITS.message) => {
+  if (!s) return '';
+  let out = cleanMessage(String(s));
+  if (out.length > maxLen) out = out.slice(0, maxLen);
+  // encode entities to avoid downstream render as HTML
+  return encodeHtmlEntities(out);
+};
+
+const URL_PATTERN = /https?:\/\/[\w\-/?&.=#%]+|www\.[\w\-/?&.=#%]+/gi;
+
+const validators = {
+  name: (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return error('required');
+    if (trimmed.length > LIMITS.name) return error('too_long', `Please keep your name under ${LIMITS.name} characters.`);
+    return isValidName(trimmed) ? null : error('invalid_name');
+  },
+  email: (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return error('required');
+    if (trimmed.length > LIMITS.email) return error('too_long', `Please keep your email under ${LIMITS.email} characters.`);
+    return isValidEmail(trimmed) ? null : error('invalid_email');
+  },
+  message: (value) => {
+    if (!value.trim()) return error('required');
+    if (value.length > LIMITS.message) {
+      return error('too_long', `Please keep your message under ${LIMITS.message} characters.`);
+    }
+    const text = cleanMessage(value);
+    if (text.length < LIMITS.minMessage) return error('too_short');
+    // Link-only detection: if message contains URLs but almost no other content,
+    // treat as spam. This is conservative to avoid blocking normal messages.
+    if ((text.match(URL_PATTERN) || []).length > 0) {
+      const stripped = text.replace(URL_PATTERN, '').replace(/\s+/g, '');
+      if (stripped.length < 10) return error('links_only');
+    }
+    return null;
+  }
+};
+
+export const CONTACT_FIELDS = Object.keys(validators);
+
+// Validate one visible field, e.g. on blur
+export const validateField = (field, value) => {
+  const validate = validators[field];
+  return validate ? validate(value || '') : null;
+};
+
+/*
+  Anti-spam checks (client-side).
+  1) Honeypot: if filled, treat as bot. It's invisible to humans.
+  2) Time-based validation: block submissions that happen too quickly.
+     Many bots submit instantly; humans need a few seconds to type.
+*/
+export const checkSpam = ({ honeypot, startedAt, now = Date.now() }) => {
+  if ((honeypot || '').trim()) return error('honeypot');
+  const elapsedSeconds = (now - (startedAt || now)) / 1000;
+  return elapsedSeconds < LIMITS.minSeconds ? error('too_fast') : null;
+};
+
+/*
+  Validate every field at once.
+  Returns { valid, errors, payload } where `errors` maps field -> { code, message }
+  and `payload` holds the sanitized values to send when `valid` is true.
+*/
+export const validateContact = (values) => {
+  const errors = {};
+  CONTACT_FIELDS.forEach((field) => {
+    const problem = validateField(field, values[field]);
+    if (problem) errors[field] = problem;
+  });
+
+  const valid = Object.keys(errors).length === 0;
+  const payload = valid
+    ? {
+        // Note: we encode the `name` with entities to avoid any angle-bracket issues
+        //       when messages are viewed in an email client or admin console.
+        name: encodeHtmlEntities(values.name.trim()).slice(0, LIMITS.name),
+        email: values.email.trim().slice(0, LIMITS.email),
+        message: sanitizeMessage(values.message)
+      }
+    : null;
+
+  return { valid, errors, payload };
+};
@@ -0,0 +1,116 @@
+import { LIMITS, checkSpam, sanitizeMessage, validateContact, validateField } from './validation';
+
+const VALID = {
+  name: 'Maria Dela Cruz',
+  email: 'maria@example.com',
+  message: 'I would like a simple website for my bakery.'
+};
+
+const codeOf = (problem) => (problem ? problem.code : null);
+
+describe('validateField', () => {
+  it('accepts valid values', () => {
+    expect(validateField('name', VALID.name)).toBeNull();
+    expect(validateField('email', VALID.email)).toBeNull();
+    expect(validateField('message', VALID.message)).toBeNull();
+  });
+
+  it('requires every field', () => {
+    expect(codeOf(validateField('name', '  '))).toBe('required');
+    expect(codeOf(validateField('email', ''))).toBe('required');
+    expect(codeOf(validateField('message', undefined))).toBe('required');
+  });
+
+  it('enforces the length limits', () => {
+    expect(codeOf(validateField('name', 'a'.repeat(LIMITS.name + 1)))).toBe('too_long');
+    expect(codeOf(validateField('email', `${'a'.repeat(LIMITS.email)}@example.com`))).toBe('too_long');
+    expect(codeOf(validateField('message', 'a'.repeat(LIMITS.message + 1)))).toBe('too_long');
+    expect(codeOf(validateField('message', 'Too short'))).toBe('too_short');
+  });
+
+  it('rejects malformed names and emails', () => {
+    expect(codeOf(validateField('name', '<script>'))).toBe('invalid_name');
+    expect(codeOf(validateField('name', 'R2-D2'))).toBe('invalid_name');
+    expect(validateField('name', "Zoë O’Brien-Smith")).toBeNull();
+    expect(codeOf(validateField('email', 'maria@example'))).toBe('invalid_email');
+    expect(codeOf(validateField('email', 'maria example.com'))).toBe('invalid_email');
+  });
+
+  it('counts the message without markup', () => {
+    expect(codeOf(validateField('message', '<b>Hi</b> <i>there</i>'))).toBe('too_short');
+  });
+
+  it('rejects messages that are only links', () => {
+    expect(codeOf(validateField('message', 'https://spam.example.com/buy-now'))).toBe('links_only');
+    expect(validateField('message', 'Here is my current site: https://example.com, can you redo it?')).toBeNull();
+  });
+
+  it('ignores unknown fields', () => {
+    expect(validateField('phone', '')).toBeNull();
+  });
+});
+
+describe('validateContact', () => {
+  it('returns a sanitized payload for valid values', () => {
+    const { valid, errors, payload } = validateContact({
+      name: '  Maria Dela Cruz ',
+      email: ' maria@example.com ',
+      message: 'I would like a <b>simple</b> website for "my" bakery.'
+    });
+    expect(valid).toBe(true);
+    expect(errors).toEqual({});
+    expect(payload).toEqual({
+      name: 'Maria Dela Cruz',
+      email: 'maria@example.com',
+      message: 'I would like a simple website for &quot;my&quot; bakery.'
+    });
+  });
+
+  it('reports every invalid field and no payload', () => {
+    const { valid, errors, payload } = validateContact({ name: '', email: 'nope', message: VALID.message });
+    expect(valid).toBe(false);
+    expect(payload).toBeNull();
+    expect(Object.keys(errors).sort()).toEqual(['email', 'name']);
+    expect(errors.name.code).toBe('required');
+    expect(errors.email.code).toBe('invalid_email');
+    expect(typeof errors.email.message).toBe('string');
+  });
+});
+
+describe('checkSpam', () => {
+  const startedAt = 1_000_000;
+
+  it('blocks a filled honeypot', () => {
+    expect(codeOf(checkSpam({ honeypot: 'http://bot', startedAt, now: startedAt + 60000 }))).toBe('honeypot');
+  });
+
+  it('blocks submissions faster than the minimum time', () => {
+    const now = startedAt + (LIMITS.minSeconds - 1) * 1000;
+    expect(codeOf(checkSpam({ honeypot: '', startedAt, now }))).toBe('too_fast');
+  });
+
+  it('lets a human submission through', () => {
+    const now = startedAt + (LIMITS.minSeconds + 1) * 1000;
+    expect(checkSpam({ honeypot: ' ', startedAt, now })).toBeNull();
+  });
+});
+
+describe('sanitizeMessage', () => {
+  it('strips tags and dangerous URIs and collapses whitespace', () => {
+    expect(sanitizeMessage('<a href="javascript:alert(1)">Hi</a>\n\n  there')).toBe('Hi there');
+    expect(sanitizeMessage('Click javascript:alert(1) now')).toBe('Click alert(1) now');
+  });
+
+  it('encodes HTML entities', () => {
+    expect(sanitizeMessage(`Tom & Jerry's "show"`)).toBe('Tom &amp; Jerry&#39;s &quot;show&quot;');
+  });
+
+  it('truncates to the maximum length before encoding', () => {
+    expect(sanitizeMessage('a'.repeat(50), 10)).toBe('a'.repeat(10));
+  });
+
+  it('returns an empty string for empty input', () => {
+    expect(sanitizeMessage('')).toBe('');
+    expect(sanitizeMessage(null)).toBe('');
+  });
+});
@@ -0,0 +1,65 @@
+// Loader API for the blog. Posts are Markdown files in ./posts, compiled to
+// ./generated/posts.json by scripts/compile-posts.js before `npm start` and
+// `npm run build`. Kept apart from ./index.js so post bodies are only
+// downloaded with the (lazily loaded) blog pages.
+import postsData from './generated/posts.json';
+import { DEFAULT_LOCALE } from '../i18n';
+
+export const POSTS_PER_PAGE = 5;
+
+const assets = require.context('../assets', true, /\.(png|jpe?g|gif|svg|webp)$/);
+
+// Already sorted newest first by the compile step
+const posts = postsData.posts.map((post) => ({
+  ...post,
+  cover: post.cover ? assets(`./${post.cover}`) : null
+}));
+
+export const getPosts = (tag) => (tag ? posts.filter((post) => post.tags.includes(tag)) : posts);
+
+// The body's internal links are compiled per locale, so `html` is the one for `locale`
+export const getPost = (slug, locale = DEFAULT_LOCALE) => {
+  const post = posts.find((entry) => entry.slug === slug);
+  return post ? { ...post, html: post.html[locale] || post.html[DEFAULT_LOCALE] } : null;
+};
+
+// Every tag with its post count, most used first
+export const getTags = () => {
+  const counts = {};
+  posts.forEach((post) => post.tags.forEach((tag) => {
+    counts[tag] = (counts[tag] || 0) + 1;
+  }));
+  return Object.keys(counts)
+    .map((tag) => ({ tag, count: counts[tag] }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// One page of posts (1-based `page`), or null when the page doesn't exist
+export const getPostPage = ({ tag, page = 1 } = {}) => {
+  const matching = getPosts(tag);
+  const pageCount = Math.max(1, Math.ceil(matching.length / POSTS_PER_PAGE));
+  if (!Number.isInteger(page) || page < 1 || page > pageCount) return null;
+  return {
+    posts: matching.slice((page - 1) * POSTS_PER_PAGE, page * POSTS_PER_PAGE),
+    page,
+    pageCount,
+    total: matching.length
+  };
+};
+
+// Neighbours by date, for the links at the end of a post
+export const getAdjacentPosts = (slug) => {
+  const index = posts.findIndex((post) => post.slug === slug);
+  if (index === -1) return { newer: null, older: null };
+  return {
+    newer: posts[index - 1] || null,
+    older: posts[index + 1] || null
+  };
+};
+
+// "April 2, 2025" in `locale`; dates are calendar days, so they're formatted in
+// UTC and read the same wherever the page is rendered
+export const formatPostDate = (date, locale = DEFAULT_LOCALE) =>
+  new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }).format(
+    new Date(`${date}T00:00:00Z`)
+  );
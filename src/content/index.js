@@ -0,0 +1,150 @@
+// Loader API for the portfolio content collections.
+// The JSON files in this folder are validated at build time by
+// scripts/validate-content.js; this module only resolves image paths
+// (relative to src/assets) to bundled URLs and merges in translations.
+import projectsData from './projects.json';
+import aboutData from './about.json';
+import galleryData from './gallery.json';
+import servicesData from './services.json';
+import previewFlags from './generated/previews.json';
+import blogSummary from './generated/blog.json';
+import filServices from './locales/fil/services.json';
+
+const assets = require.context('../assets', true, /\.(png|jpe?g|gif|svg|webp)$/);
+
+const resolveImage = (file) => assets(`./${file}`);
+
+// Screenshots taken by scripts/capture-previews.js, when that step ran
+const capturedPreview = (id) => {
+  const key = `./previews/captured/${id}.jpg`;
+  return assets.keys().includes(key) ? assets(key) : null;
+};
+
+const withImage = (entry) => ({ ...entry, image: resolveImage(entry.image) });
+
+// Translated fields per locale and collection (see locales/), matched by id
+const translations = {
+  fil: filServices
+};
+
+const localized = {};
+
+// A collection in `locale`: translated fields replace the English ones, and
+// anything not translated stays English. Cached so each locale gets stable arrays.
+const localize = (name, entries, locale) => {
+  const overrides = (translations[locale] || {})[name];
+  if (!overrides) return entries;
+  const key = `${locale}:${name}`;
+  if (!localized[key]) {
+    localized[key] = entries.map((entry) => ({ ...entry, ...overrides.find((item) => item.id === entry.id) }));
+  }
+  return localized[key];
+};
+
+const projects = projectsData.projects.map((project) => ({
+  ...withImage(project),
+  screenshots: (project.screenshots || []).map(resolveImage)
+}));
+const skillCategories = aboutData.skillCategories.map(withImage);
+const photos = galleryData.photos.map(withImage);
+const designSamples = galleryData.designSamples.map(withImage);
+// `embeddable` is false only when the entry opts out or the framing check in
+// scripts/capture-previews.js saw the site refuse to be framed;
+// `preview` is null when there is no screenshot of the site
+const liveProjects = galleryData.liveProjects.map((project) => ({
+  ...project,
+  preview: capturedPreview(project.id) || (project.preview ? resolveImage(project.preview) : null),
+  embeddable: project.embeddable !== false && !(previewFlags[project.id] && previewFlags[project.id].embeddable === false)
+}));
+
+export const getProjects = () => projects;
+
+export const getProject = (id) => projects.find((project) => project.id === id) || null;
+
+// Neighbours in content order, for previous/next links on case study pages
+export const getAdjacentProjects = (id) => {
+  const index = projects.findIndex((project) => project.id === id);
+  if (index === -1) return { previous: null, next: null };
+  return {
+    previous: projects[index - 1] || null,
+    next: projects[index + 1] || null
+  };
+};
+
+// Union of every project's technologies, sorted for display as filter chips
+export const getTechnologies = () =>
+  [...new Set(projects.flatMap((project) => project.technologies))].sort((a, b) =>
+    a.localeCompare(b, undefined, { sensitivity: 'base' })
+  );
+
+// Projects using every technology in `technologies` whose title or
+// description contains `query` (case-insensitive)
+export const filterProjects = ({ technologies = [], query = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return projects.filter((project) => {
+    const matchesTech = technologies.every((tech) => project.technologies.includes(tech));
+    const matchesQuery =
+      !needle ||
+      project.title.toLowerCase().includes(needle) ||
+      project.description.toLowerCase().includes(needle);
+    return matchesTech && matchesQuery;
+  });
+};
+
+export const getSkillCategories = () => skillCategories;
+
+export const getSkills = (category) =>
+  category ? aboutData.skills.filter((skill) => skill.category === category) : aboutData.skills;
+
+// Projects a skill links to, in the order the skill lists them
+export const getSkillProjects = (skill) => (skill.projects || []).map(getProject).filter(Boolean);
+
+export const getExperiences = () => aboutData.experiences;
+
+// Splits an experience title, "Role (Organization) | Period", into its parts;
+// scripts/content-schema.js holds every title to that pattern
+export const parseExperienceTitle = (title) => {
+  const [, role, organization, period] = /^(.+?) \((.+)\) \| (.+)$/.exec(title) || [null, title, '', ''];
+  return { role, organization, period };
+};
+
+// The site owner; about.json holds exactly one profile entry
+export const getProfile = () => aboutData.profile[0];
+
+export const getSocials = () => aboutData.socials;
+
+export const getPhotos = () => photos;
+
+export const getDesignSamples = () => designSamples;
+
+// Gallery collections addressable by URL (/gallery/:collection/:position)
+const galleryCollections = {
+  photos: { title: 'Photographs', items: photos },
+  design: { title: 'Graphic Design', items: designSamples }
+};
+
+export const getGalleryCollection = (name) =>
+  Object.prototype.hasOwnProperty.call(galleryCollections, name) ? galleryCollections[name] : null;
+
+export const getLiveProjects = () => liveProjects;
+
+const packages = servicesData.packages.map(withImage);
+
+// The Services collections take an optional locale; English without one
+export const getPackages = (locale) => localize('packages', packages, locale);
+
+export const getPackage = (id, locale) => getPackages(locale).find((pkg) => pkg.id === id) || null;
+
+export const getAddons = (locale) => localize('addons', servicesData.addons, locale);
+
+export const getTimelines = (locale) => localize('timelines', servicesData.timelines, locale);
+
+export const getBudgetRanges = (locale) => localize('budgetRanges', servicesData.budgetRanges, locale);
+
+export const getFaqs = (locale) => localize('faqs', servicesData.faqs, locale);
+
+export const getTestimonials = () => servicesData.testimonials;
+
+// Whether the blog has posts to list (published ones; drafts too under `npm start`).
+// The posts themselves load with the blog pages, from ./blog.js
+export const hasPosts = () => blogSummary.postCount > 0;
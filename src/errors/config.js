@@ -0,0 +1,19 @@
+// Error reporting settings, overridable per environment through REACT_APP_* variables
+const endpoint = process.env.REACT_APP_ERROR_ENDPOINT || '';
+
+const errorConfig = {
+  // endpoint | console | none; by default reports go to the endpoint when one
+  // is set, to the console in development and nowhere otherwise
+  sink:
+    process.env.REACT_APP_ERROR_SINK ||
+    (endpoint ? 'endpoint' : process.env.NODE_ENV === 'development' ? 'console' : 'none'),
+  endpoint: {
+    url: endpoint
+  },
+  console: {},
+  none: {},
+  // Reports sent per page load at most, so an error in a loop can't flood the endpoint
+  maxReports: 10
+};
+
+export default errorConfig;
@@ -0,0 +1,63 @@
+import errorConfig from './config';
+import { createSink } from './sinks';
+
+/*
+  Client error reporting.
+  - reportError() sends { message, stack, source, route, url, ... } to the
+    sink chosen in ./config.js. `route` is the page the visitor was on, kept
+    current by setErrorRoute() (see components/ErrorReporter.js).
+  - startErrorReporting() also catches uncaught errors (window "error") and
+    unhandled promise rejections; route error boundaries report what they catch.
+  - The same error is reported once per page load, and at most
+    `maxReports` reports are sent in total.
+*/
+
+const sink = createSink(errorConfig);
+const seen = new Set();
+let route = null;
+
+// { id, pathname, locale } of the current page
+export const setErrorRoute = (next) => {
+  route = next;
+};
+
+const describe = (error) => {
+  if (error instanceof Error) return { message: error.message, name: error.name, stack: error.stack };
+  return { message: typeof error === 'string' ? error : JSON.stringify(error) };
+};
+
+// `source` says how it was caught (window.onerror, unhandledrejection, boundary); `extra` adds detail
+export const reportError = (error, source, extra = {}) => {
+  const details = describe(error);
+  const key = `${source}:${details.message}:${route ? route.pathname : ''}`;
+  if (seen.has(key) || seen.size >= errorConfig.maxReports) return;
+  seen.add(key);
+  sink.send({
+    ...details,
+    ...extra,
+    source,
+    route,
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    time: new Date().toISOString()
+  });
+};
+
+// Listen for uncaught errors and rejections; returns a cleanup function
+export const startErrorReporting = () => {
+  const onError = (event) => {
+    reportError(event.error || event.message, 'window.onerror', {
+      file: event.filename,
+      line: event.lineno,
+      column: event.colno
+    });
+  };
+  const onRejection = (event) => reportError(event.reason, 'unhandledrejection');
+
+  window.addEventListener('error', onError);
+  window.addEventListener('unhandledrejection', onRejection);
+  return () => {
+    window.removeEventListener('error', onError);
+    window.removeEventListener('unhandledrejection', onRejection);
+  };
+};
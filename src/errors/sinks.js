@@ -0,0 +1,62 @@
+/*
+  Where error reports go. Each sink has `send(report)` and never throws:
+  reporting an error must not cause another one.
+*/
+
+/*
+  POSTs each report as a JSON body; sendBeacon survives the page being closed.
+  - The body is sent as text/plain: a cross-origin beacon with any other type
+    needs a preflight, which sendBeacon can't make, so it throws instead.
+    The endpoint parses the body as JSON whatever the Content-Type says.
+  - fetch (with keepalive) is the fallback when the beacon is missing, refused
+    or throws.
+*/
+const createEndpointSink = ({ url }) => {
+  if (!url) throw new Error('The "endpoint" error sink needs REACT_APP_ERROR_ENDPOINT');
+  const beacon = (body) => {
+    try {
+      return Boolean(navigator.sendBeacon) && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+    } catch (_) {
+      return false;
+    }
+  };
+  return {
+    name: 'endpoint',
+    send(report) {
+      const body = JSON.stringify(report);
+      if (beacon(body)) return;
+      try {
+        fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain;charset=UTF-8' }, body, keepalive: true }).catch(() => {});
+      } catch (_) {
+        // nowhere left to report to
+      }
+    }
+  };
+};
+
+const createConsoleSink = () => ({
+  name: 'console',
+  send(report) {
+    console.warn('[error report]', report);
+  }
+});
+
+const createNoopSink = () => ({
+  name: 'none',
+  send() {}
+});
+
+const factories = {
+  endpoint: createEndpointSink,
+  console: createConsoleSink,
+  none: createNoopSink
+};
+
+// Build the sink named by `config.sink` with its own options
+export const createSink = (config) => {
+  const factory = factories[config.sink];
+  if (!factory) {
+    throw new Error(`Unknown error sink "${config.sink}" (expected ${Object.keys(factories).join(', ')})`);
+  }
+  return factory(config[config.sink] || {});
+};
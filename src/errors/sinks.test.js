@@ -0,0 +1,53 @@
+import { createSink } from './sinks';
+
+const URL = 'https://errors.example.com/report';
+const report = { message: 'Boom', url: '/works' };
+
+describe('endpoint sink', () => {
+  const originalBeacon = navigator.sendBeacon;
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+  });
+
+  afterEach(() => {
+    navigator.sendBeacon = originalBeacon;
+    global.fetch = originalFetch;
+  });
+
+  const sink = () => createSink({ sink: 'endpoint', endpoint: { url: URL } });
+
+  it('sends a text/plain beacon so cross-origin endpoints need no preflight', () => {
+    navigator.sendBeacon = jest.fn(() => true);
+    sink().send(report);
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    const [url, blob] = navigator.sendBeacon.mock.calls[0];
+    expect(url).toBe(URL);
+    expect(blob.type).toBe('text/plain;charset=utf-8');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('falls back to fetch when the beacon throws or is refused', () => {
+    navigator.sendBeacon = jest.fn(() => {
+      throw new TypeError('Failed to execute sendBeacon');
+    });
+    sink().send(report);
+    navigator.sendBeacon = jest.fn(() => false);
+    sink().send(report);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch).toHaveBeenCalledWith(URL, expect.objectContaining({ body: JSON.stringify(report), keepalive: true }));
+  });
+
+  it('never throws, even when fetch does', () => {
+    navigator.sendBeacon = undefined;
+    global.fetch = jest.fn(() => {
+      throw new TypeError('fetch is not available');
+    });
+    expect(() => sink().send(report)).not.toThrow();
+  });
+
+  it('needs a URL', () => {
+    expect(() => createSink({ sink: 'endpoint', endpoint: {} })).toThrow('REACT_APP_ERROR_ENDPOINT');
+  });
+});
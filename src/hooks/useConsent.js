@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { getConsent, subscribe } from '../analytics/consent';
+
+// The visitor's consent, kept current as it changes. It is null on the first
+// render (stored choices are read in an effect) so prerendered markup matches.
+const useConsent = () => {
+  const [consent, setConsent] = useState(null);
+
+  useEffect(() => {
+    setConsent(getConsent());
+    return subscribe((event) => {
+      if (event.type === 'change') setConsent(event.consent);
+    });
+  }, []);
+
+  return consent;
+};
+
+export default useConsent;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// Tracks the visitor's reduced-motion setting, updating if it changes while the page is open.
+// The first render assumes no preference so it matches prerendered markup; the
+// effect applies the real setting before autoplay can advance a slide.
+const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(false);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const mql = window.matchMedia(QUERY);
+    const onChange = () => setReduced(mql.matches);
+    onChange();
+    mql.addEventListener('change', onChange);
+    return () => mql.removeEventListener('change', onChange);
+  }, []);
+
+  return reduced;
+};
+
+export default usePrefersReducedMotion;
@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react';
+
+// Keep these in sync with the inline script in public/index.html, which
+// applies the same choice before the bundle loads so there is no flash.
+export const THEME_STORAGE_KEY = 'theme';
+export const THEME_PREFERENCES = ['system', 'light', 'dark', 'contrast'];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+const matches = (query) => (window.matchMedia ? window.matchMedia(query).matches : false);
+
+const systemTheme = () => {
+  if (matches(CONTRAST_QUERY)) return 'contrast';
+  return matches(DARK_QUERY) ? 'dark' : 'light';
+};
+
+// Storage can throw (private mode, blocked cookies); fall back to following the system
+const readPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(THEME_STORAGE_KEY);
+    return THEME_PREFERENCES.includes(stored) ? stored : 'system';
+  } catch (_) {
+    return 'system';
+  }
+};
+
+const writePreference = (preference) => {
+  try {
+    if (preference === 'system') window.localStorage.removeItem(THEME_STORAGE_KEY);
+    else window.localStorage.setItem(THEME_STORAGE_KEY, preference);
+  } catch (_) {
+    // the choice still applies for this visit
+  }
+};
+
+// The visitor's theme choice ('system' follows the OS, live) and the theme in effect.
+// The first render matches the prerendered page ('system'); the stored choice is
+// read after mount, and until then the inline script's theme stays on <html>.
+const useTheme = () => {
+  // The stored choice, null until it is read after mount
+  const [stored, setStored] = useState(null);
+  const [theme, setTheme] = useState(null);
+  const preference = stored || 'system';
+
+  useEffect(() => {
+    setStored(readPreference());
+  }, []);
+
+  useEffect(() => {
+    if (!stored) return undefined;
+    if (stored !== 'system') {
+      setTheme(stored);
+      return undefined;
+    }
+    setTheme(systemTheme());
+    if (!window.matchMedia) return undefined;
+    const queries = [DARK_QUERY, CONTRAST_QUERY].map((query) => window.matchMedia(query));
+    const onChange = () => setTheme(systemTheme());
+    queries.forEach((mql) => mql.addEventListener('change', onChange));
+    return () => queries.forEach((mql) => mql.removeEventListener('change', onChange));
+  }, [stored]);
+
+  useEffect(() => {
+    if (theme) document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  const setPreference = (next) => {
+    writePreference(next);
+    setStored(next);
+  };
+
+  return { preference, theme, setPreference };
+};
+
+export default useTheme;
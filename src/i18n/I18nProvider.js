@@ -0,0 +1,25 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react';
+import { hasMessage, translate } from '.';
+
+const I18nContext = createContext(null);
+
+// Provides the active locale and `t(key, values)` to the tree, and keeps <html lang> in sync
+export const I18nProvider = ({ locale, children }) => {
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    locale,
+    t: (key, values) => translate(locale, key, values),
+    has: (key) => hasMessage(locale, key)
+  }), [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useI18n must be used inside <I18nProvider>');
+  return context;
+};
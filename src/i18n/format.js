@@ -0,0 +1,122 @@
+/*
+  Minimal ICU MessageFormat support for the message catalogs:
+  - `{name}` and `{count, number}` arguments
+  - `{count, plural, =0 {…} one {…} other {…}}`, with `#` for the number
+  - `{field, select, name {…} other {…}}`
+  - Apostrophes only quote when followed by `{`, `}`, `#` or another
+    apostrophe, so "I'm" needs no escaping.
+  Parsed patterns are cached; a malformed pattern is shown as-is rather than
+  breaking the page.
+*/
+
+const parseArgument = (src, start) => {
+  let i = start;
+  const readUntil = (stops) => {
+    const from = i;
+    while (i < src.length && !stops.includes(src[i])) i += 1;
+    return src.slice(from, i).trim();
+  };
+
+  const name = readUntil(',}');
+  if (src[i] === '}') return [{ arg: name }, i + 1];
+  i += 1; // skip ','
+  const type = readUntil(',}');
+  if (src[i] === '}') return [{ arg: name, type }, i + 1];
+  if (type !== 'plural' && type !== 'select') throw new Error(`Unsupported argument type "${type}"`);
+  i += 1; // skip ','
+
+  const options = {};
+  for (;;) {
+    while (/\s/.test(src[i] || '')) i += 1;
+    if (src[i] === '}') return [{ arg: name, type, options }, i + 1];
+    const selector = readUntil('{ \n\t}');
+    while (/\s/.test(src[i] || '')) i += 1;
+    if (!selector || src[i] !== '{') throw new Error(`Expected "{" after "${selector}"`);
+    const [nodes, next] = parseNodes(src, i + 1, type === 'plural', true);
+    options[selector] = nodes;
+    i = next;
+  }
+};
+
+function parseNodes(src, start, inPlural, inOption) {
+  const nodes = [];
+  let text = '';
+  let i = start;
+  const flush = () => {
+    if (text) nodes.push(text);
+    text = '';
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === "'") {
+      const next = src[i + 1];
+      if (next === "'") {
+        text += "'";
+        i += 2;
+      } else if (next === '{' || next === '}' || next === '#') {
+        const end = src.indexOf("'", i + 1);
+        text += src.slice(i + 1, end === -1 ? src.length : end);
+        i = end === -1 ? src.length : end + 1;
+      } else {
+        text += ch;
+        i += 1;
+      }
+    } else if (ch === '{') {
+      flush();
+      const [node, next] = parseArgument(src, i + 1);
+      nodes.push(node);
+      i = next;
+    } else if (ch === '}') {
+      if (!inOption) throw new Error('Unbalanced "}"');
+      flush();
+      return [nodes, i + 1];
+    } else if (ch === '#' && inPlural) {
+      flush();
+      nodes.push({ count: true });
+      i += 1;
+    } else {
+      text += ch;
+      i += 1;
+    }
+  }
+  if (inOption) throw new Error('Unclosed "{"');
+  flush();
+  return [nodes, i];
+}
+
+const cache = new Map();
+
+const parse = (pattern) => {
+  if (!cache.has(pattern)) {
+    let nodes;
+    try {
+      [nodes] = parseNodes(pattern, 0, false, false);
+    } catch (_) {
+      nodes = [pattern];
+    }
+    cache.set(pattern, nodes);
+  }
+  return cache.get(pattern);
+};
+
+const render = (nodes, values, locale, count) =>
+  nodes.map((node) => {
+    if (typeof node === 'string') return node;
+    if (node.count) return new Intl.NumberFormat(locale).format(count);
+
+    const value = values[node.arg];
+    if (node.type === 'plural') {
+      const n = Number(value);
+      const exact = node.options[`=${n}`];
+      const option = exact || node.options[new Intl.PluralRules(locale).select(n)] || node.options.other || [];
+      return render(option, values, locale, n);
+    }
+    if (node.type === 'select') {
+      return render(node.options[value] || node.options.other || [], values, locale, count);
+    }
+    if (value === undefined || value === null) return `{${node.arg}}`;
+    return node.type === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+  }).join('');
+
+export const formatMessage = (pattern, values = {}, locale = 'en') => render(parse(pattern), values, locale);
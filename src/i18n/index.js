@@ -0,0 +1,56 @@
+import en from './messages/en.json';
+import fil from './messages/fil.json';
+import { formatMessage } from './format';
+
+/*
+  Locales and message lookup.
+  - English is the source catalog and lives at the site root; other locales
+    are served under a path prefix (`/fil/services`).
+  - The prefix becomes part of the router basename (see src/index.js), so
+    every absolute `<Link to="/works">` stays in the current locale.
+  - Keys missing from a catalog fall back to English; `npm run check:messages`
+    reports them.
+*/
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = [
+  { id: 'en', label: 'English', prefix: '' },
+  { id: 'fil', label: 'Filipino', prefix: '/fil' }
+];
+
+const CATALOGS = { en, fil };
+
+const getLocale = (id) => LOCALES.find((locale) => locale.id === id) || LOCALES[0];
+
+// Locale for a pathname relative to PUBLIC_URL, e.g. '/fil/services' -> 'fil'
+export const localeFromPath = (pathname) => {
+  const match = LOCALES.find(
+    (locale) => locale.prefix && (pathname === locale.prefix || pathname.startsWith(`${locale.prefix}/`))
+  );
+  return match ? match.id : DEFAULT_LOCALE;
+};
+
+// Path prefix to add to the router basename for a locale
+export const localePrefix = (id) => getLocale(id).prefix;
+
+// The same in-app path in another locale, relative to PUBLIC_URL
+export const localizePath = (pathname, id) => {
+  const prefix = localePrefix(id);
+  if (!prefix) return pathname;
+  return pathname === '/' ? prefix : `${prefix}${pathname}`;
+};
+
+export const hasMessage = (locale, key) =>
+  Object.prototype.hasOwnProperty.call(CATALOGS[locale] || {}, key) ||
+  Object.prototype.hasOwnProperty.call(CATALOGS[DEFAULT_LOCALE], key);
+
+export const translate = (locale, key, values) => {
+  const catalog = CATALOGS[locale] || {};
+  const pattern = catalog[key] !== undefined ? catalog[key] : CATALOGS[DEFAULT_LOCALE][key];
+  if (pattern === undefined) {
+    if (process.env.NODE_ENV !== 'production') console.warn(`Missing message "${key}"`);
+    return key;
+  }
+  return formatMessage(pattern, values, locale);
+};
@@ -2,18 +2,44 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import './index.css';
-import App from './App';
+import App, { preloadRoute } from './App';
+import { I18nProvider } from './i18n/I18nProvider';
+import { localeFromPath, localePrefix } from './i18n';
 
 // Get the basename from PUBLIC_URL (set by Create React App based on homepage in package.json)
 // PUBLIC_URL will be the pathname part of the homepage URL (e.g., "/my-portfolio" or "")
-const basename = process.env.PUBLIC_URL || '';
+const publicUrl = process.env.PUBLIC_URL || '';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+// The locale prefix (e.g. "/fil") is part of the basename, so routes and links
+// stay the same in every locale. Switching locale reloads the page.
+const locale = localeFromPath(window.location.pathname.slice(publicUrl.length) || '/');
+const basename = `${publicUrl}${localePrefix(locale)}`;
+
+const app = (
   <React.StrictMode>
     <BrowserRouter basename={basename}>
-      <App />
+      <I18nProvider locale={locale}>
+        <App />
+      </I18nProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
 
+const container = document.getElementById('root');
+const inApp = window.location.pathname.slice(basename.length) || '/';
+
+if (window.__PRERENDER__) {
+  // scripts/prerender.js is rendering this page to static HTML: hand it the
+  // server render instead of mounting the app
+  window.__PRERENDER__(
+    import(/* webpackChunkName: "prerender" */ './prerender').then(({ default: prerender }) =>
+      prerender(app, inApp, locale)
+    )
+  );
+} else if (container.hasChildNodes()) {
+  // Pages written by scripts/prerender.js already hold the markup; hydrate it
+  // once the route's code-split chunks are in, so nothing falls back to "Loading…"
+  preloadRoute(inApp).then(() => ReactDOM.hydrateRoot(container, app));
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
@@ -0,0 +1,36 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { preloadRoute } from './App';
+import { PageMetaContext } from './seo/usePageMeta';
+
+/*
+  Server render of the current page for scripts/prerender.js, which runs the
+  built site in jsdom. index.js only imports this chunk when that script asks
+  for it, so visitors never download react-dom/server.
+  - React's own server renderer writes the markup, with the comments hydration
+    relies on (Suspense boundaries, separators between adjacent text nodes).
+  - No effects run, so the page's head comes through PageMetaContext, and
+    client-only UI (the consent banner) renders nothing, as it does on the
+    first client render.
+*/
+const prerender = async (app, pathname, locale) => {
+  // Code-split pages render at once when their chunk is in, instead of their fallback
+  await preloadRoute(pathname);
+
+  let writeHead = null;
+  const html = renderToString(
+    <PageMetaContext.Provider
+      value={(write) => {
+        writeHead = write;
+      }}
+    >
+      {app}
+    </PageMetaContext.Provider>
+  );
+
+  document.documentElement.lang = locale;
+  if (writeHead) writeHead();
+  document.getElementById('root').innerHTML = html;
+};
+
+export default prerender;
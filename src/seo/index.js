@@ -0,0 +1,26 @@
+import { LOCALES, localizePath } from '../i18n';
+
+/*
+  Absolute URLs for canonical links, Open Graph tags and structured data.
+  - REACT_APP_SITE_URL pins the origin (so deploy previews and localhost
+    still point crawlers at the live site); otherwise the current origin is used.
+  - Paths are in-app paths; PUBLIC_URL and the locale prefix are added here.
+*/
+
+export const SITE_NAME = "Allysa's Portfolio";
+
+const publicUrl = process.env.PUBLIC_URL || '';
+
+export const siteOrigin = () =>
+  process.env.REACT_APP_SITE_URL ? new URL(process.env.REACT_APP_SITE_URL).origin : window.location.origin;
+
+export const pageUrl = (pathname, locale) => `${siteOrigin()}${publicUrl}${localizePath(pathname, locale)}`;
+
+// Bundled asset URLs already include PUBLIC_URL
+export const assetUrl = (src) => (src ? new URL(src, siteOrigin()).href : null);
+
+// Open Graph wants territory-qualified locales
+export const OG_LOCALES = { en: 'en_US', fil: 'fil_PH' };
+
+export const alternateUrls = (pathname) =>
+  LOCALES.map((locale) => ({ hreflang: locale.id, href: pageUrl(pathname, locale.id) }));
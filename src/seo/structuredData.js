@@ -0,0 +1,51 @@
+import { getProfile, getSkills, getSocials } from '../content';
+import { assetUrl, pageUrl } from '.';
+
+// schema.org objects for usePageMeta's `jsonLd`, built from the content collections
+
+const personRef = () => ({ '@type': 'Person', name: getProfile().name, url: pageUrl('/about') });
+
+export const personSchema = ({ image } = {}) => {
+  const profile = getProfile();
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: profile.name,
+    givenName: profile.givenName,
+    familyName: profile.familyName,
+    ...(profile.jobTitle ? { jobTitle: profile.jobTitle } : {}),
+    email: `mailto:${profile.email}`,
+    url: pageUrl('/'),
+    ...(image ? { image: assetUrl(image) } : {}),
+    sameAs: getSocials().map((social) => social.url),
+    knowsAbout: getSkills().map((skill) => skill.name)
+  };
+};
+
+export const projectSchema = (project) => ({
+  '@context': 'https://schema.org',
+  '@type': 'CreativeWork',
+  name: project.title,
+  description: project.description,
+  url: pageUrl(`/works/${project.id}`),
+  image: assetUrl(project.image),
+  keywords: project.technologies.join(', '),
+  creator: personRef(),
+  ...(project.date ? { dateCreated: project.date } : {}),
+  ...(project.repo ? { codeRepository: project.repo } : {}),
+  ...(project.demo ? { workExample: { '@type': 'WebSite', url: project.demo } } : {})
+});
+
+// A Service per package
+export const serviceSchemas = (packages) =>
+  packages.map((pkg) => {
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'Service',
+      name: pkg.title,
+      description: pkg.description.join(' '),
+      serviceType: 'Web design and development',
+      url: pageUrl('/services'),
+      provider: personRef()
+    };
+  });
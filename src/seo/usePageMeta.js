@@ -0,0 +1,93 @@
+import { createContext, useContext, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useI18n } from '../i18n/I18nProvider';
+import { DEFAULT_LOCALE } from '../i18n';
+import { OG_LOCALES, SITE_NAME, alternateUrls, assetUrl, pageUrl } from '.';
+
+// Tags this hook owns carry this attribute, so a page (or a prerendered copy
+// of it) can drop the previous page's tags before adding its own
+const MARKER = 'data-page-meta';
+
+const descriptionTag = () => document.head.querySelector('meta[name="description"]');
+
+const addTag = (name, attributes, text) => {
+  const tag = document.createElement(name);
+  Object.entries(attributes).forEach(([key, value]) => tag.setAttribute(key, value));
+  if (text) tag.textContent = text;
+  tag.setAttribute(MARKER, '');
+  document.head.appendChild(tag);
+};
+
+// JSON inside <script> must not be able to close the tag
+const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+// Writes the head for `key` (the JSON of a usePageMeta argument); pages
+// without a description get `defaultDescription`
+const applyPageMeta = (key, pathname, locale, defaultDescription) => {
+  const { title, description, image, path = pathname, type = 'website', noindex = false, jsonLd } = JSON.parse(key);
+  const fullTitle = title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+  const summary = description || defaultDescription;
+  const canonical = pageUrl(path, locale);
+  const imageUrl = assetUrl(image);
+
+  document.head.querySelectorAll(`[${MARKER}]`).forEach((tag) => tag.remove());
+  document.title = fullTitle;
+  if (descriptionTag()) descriptionTag().setAttribute('content', summary);
+
+  addTag('link', { rel: 'canonical', href: canonical });
+  alternateUrls(path).forEach(({ hreflang, href }) => addTag('link', { rel: 'alternate', hreflang, href }));
+  addTag('link', { rel: 'alternate', hreflang: 'x-default', href: pageUrl(path, DEFAULT_LOCALE) });
+  if (noindex) addTag('meta', { name: 'robots', content: 'noindex' });
+
+  addTag('meta', { property: 'og:site_name', content: SITE_NAME });
+  addTag('meta', { property: 'og:title', content: fullTitle });
+  addTag('meta', { property: 'og:description', content: summary });
+  addTag('meta', { property: 'og:url', content: canonical });
+  addTag('meta', { property: 'og:type', content: type });
+  addTag('meta', { property: 'og:locale', content: OG_LOCALES[locale] || OG_LOCALES[DEFAULT_LOCALE] });
+  if (imageUrl) addTag('meta', { property: 'og:image', content: imageUrl });
+
+  addTag('meta', { name: 'twitter:card', content: imageUrl ? 'summary_large_image' : 'summary' });
+  addTag('meta', { name: 'twitter:title', content: fullTitle });
+  addTag('meta', { name: 'twitter:description', content: summary });
+  if (imageUrl) addTag('meta', { name: 'twitter:image', content: imageUrl });
+
+  if (jsonLd) addTag('script', { type: 'application/ld+json' }, serializeJsonLd(jsonLd));
+};
+
+const resetPageMeta = (defaultDescription) => {
+  document.head.querySelectorAll(`[${MARKER}]`).forEach((tag) => tag.remove());
+  document.title = SITE_NAME;
+  if (descriptionTag()) descriptionTag().setAttribute('content', defaultDescription);
+};
+
+// A server render (src/prerender.js) runs no effects, so it provides a
+// function here that is handed the page's head to write instead
+export const PageMetaContext = createContext(null);
+
+/*
+  Sets the document head for the current page: <title>, meta description,
+  canonical and hreflang links, Open Graph and Twitter tags, and optional
+  JSON-LD (`jsonLd`: one schema.org object or an array of them).
+  `path` overrides the canonical in-app path (default: the current pathname).
+  Pass `null` to leave the head alone (e.g. a component rendered inside another page).
+*/
+const usePageMeta = (meta) => {
+  const { pathname } = useLocation();
+  const { locale, t } = useI18n();
+  // Compared as a string so pages can pass fresh object literals on every render
+  const key = meta ? JSON.stringify(meta) : null;
+  // The site's defaults, as public/index.html has them in English
+  const defaultDescription = t('meta.home.description');
+
+  const collect = useContext(PageMetaContext);
+  if (collect && key) collect(() => applyPageMeta(key, pathname, locale, defaultDescription));
+
+  useEffect(() => {
+    if (!key) return undefined;
+    applyPageMeta(key, pathname, locale, defaultDescription);
+    return () => resetPageMeta(defaultDescription);
+  }, [key, pathname, locale, defaultDescription]);
+};
+
+export default usePageMeta;